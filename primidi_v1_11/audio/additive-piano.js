@@ -0,0 +1,284 @@
+/**
+ * Additive piano layer engine for the GSL synth, ported from the v1_06 AdditiveSynth and its physics modules.
+ * A layer set to 'additive_piano' plays each note as up to 12 sine partials shaped by inharmonicity,
+ * pitch-dependent rolloff, velocity timbre, odd/even balance, per-partial decay, time-varying brightness,
+ * harmonic profile evolution and the piano envelope model. Each model follows its window.physicsSettings
+ * toggle (v1_06 keys, on by default) as a note starts. The timbre evolution is scheduled at note-on instead of
+ * v1_06's 200 ms update loop, so offline renders sound the same; gsl-synth adds envelope, filter, pan and pedals.
+ */
+(function () {
+  'use strict';
+
+  var SLUG = 'additive_piano';
+  var PHYSICS_KEYS = [
+    'velocityTimbre',
+    'inharmonicity',
+    'pitchHarmonicRolloff',
+    'oddEvenHarmonicBalance',
+    'perPartialDecay',
+    'timeVaryingBrightness',
+    'harmonicProfileEvolution',
+    'pianoEnvelopeModel'
+  ];
+
+  var MAX_PARTIALS = 12;
+  var OUTPUT_LEVEL = 0.8; // sum of the partial levels at the end of the attack
+  var A0_MIDI = 21;
+  var C8_MIDI = 108;
+  var A0_FREQ = 27.5;
+  var C8_FREQ = 4186;
+  var B_MIN = 0.0001; // inharmonicity coefficient at A0
+  var B_MAX = 0.02; // at C8
+  var BASE_ROLLOFF = 0.15; // exp(-k * 0.15) when the pitch rolloff is off
+  var ODD_BOOST = 1.2;
+  var EVEN_ATTENUATION = 0.6;
+  var BALANCE_MAX_HARMONIC = 6;
+  var PARTIAL_DECAY_SCALE = 0.15; // each partial decays 15% faster than the one below
+  var PEDAL_DOWN_DEPTH = 0.5; // sustain pedal depth that counts as pedal down for the envelope model
+  var EVOLUTION_FIRST_STEP = 0.005; // seconds; schedule points after the attack grow geometrically from here
+  var EVOLUTION_STEP_GROWTH = 1.35;
+  var EVOLUTION_FLOOR = 0.0005; // a partial stops being scheduled below this share of its start level
+  var EVOLUTION_MAX_TIME = 30;
+
+  function isOn(key) {
+    return !window.physicsSettings || window.physicsSettings[key] !== false;
+  }
+
+  function clamp01(x) {
+    return Math.max(0, Math.min(1, x));
+  }
+
+  // ========== Spectrum (at note-on) ==========
+
+  /** Inharmonicity coefficient B: grows from A0 to C8 and with velocity (a harder strike stiffens the string) */
+  function getInharmonicity(midi, vNorm) {
+    if (!isOn('inharmonicity')) return 0;
+    var norm = clamp01((midi - A0_MIDI) / (C8_MIDI - A0_MIDI));
+    return B_MIN * Math.pow(B_MAX / B_MIN, Math.pow(norm, 1.5)) * (1 + 0.3 * Math.pow(vNorm, 1.2));
+  }
+
+  /** alpha of the exp(-k * alpha) rolloff: slow in the bass, fast in the treble */
+  function getRolloffAlpha(f0) {
+    if (!isOn('pitchHarmonicRolloff')) return BASE_ROLLOFF;
+    var norm = clamp01((f0 - A0_FREQ) / (C8_FREQ - A0_FREQ));
+    return 0.08 * Math.pow(0.35 / 0.08, Math.pow(norm, 1.2));
+  }
+
+  /** Partials per note: 12 in the bass down to 4 at C8 */
+  function getPartialCount(f0) {
+    if (!isOn('pitchHarmonicRolloff')) return MAX_PARTIALS;
+    var norm = clamp01(Math.log2(f0 / A0_FREQ) / Math.log2(C8_FREQ / A0_FREQ));
+    return Math.max(4, Math.min(MAX_PARTIALS, Math.round(MAX_PARTIALS - norm * 8)));
+  }
+
+  /** Base level of partial k, blended with a gentle lowpass response like v1_06 getFilterBasedRolloff */
+  function getRolloff(k, f0) {
+    var rolloff = Math.exp(-k * getRolloffAlpha(f0));
+    if (!isOn('pitchHarmonicRolloff')) return rolloff;
+    return rolloff * 0.7 + 0.3 / Math.sqrt(1 + Math.pow(k / 0.5, 2));
+  }
+
+  /** v1_06 getBalancedOscillatorType: the waveform the velocity timbre imitates */
+  function getOscillatorType(vNorm, f0) {
+    var freqWeight = clamp01((f0 - 1046) / 2000);
+    var bassBoost = f0 < 400 ? -0.15 : 0; // bass notes reach square earlier
+    if (vNorm < 0.3 + 0.1 * freqWeight) return 'sine';
+    if (vNorm < 0.6 + 0.1 * freqWeight + bassBoost) return 'triangle';
+    return 'square';
+  }
+
+  /** Velocity timbre of partial k: v1_06 calculateHarmonicRolloff relative to its exp(-0.15k) base */
+  function getVelocityTimbre(k, vNorm, f0) {
+    if (!isOn('velocityTimbre')) return 1;
+    var bass = f0 < 400;
+    var boost;
+    if (k <= 4) {
+      boost = 1 + vNorm * 0.3 * Math.exp(-k / 10);
+    } else if (bass) {
+      boost = 1 + vNorm * 0.6 * (1 + (1 - f0 / 400) * 0.5) * Math.exp(-(k - 4) / 8);
+    } else {
+      boost = 1 + vNorm * 0.3 * (f0 > 1000 ? 0.4 : 0.6) * Math.exp(-(k - 4) / 6);
+    }
+    var shape = 1;
+    if (getOscillatorType(vNorm, f0) === 'square') {
+      if (!bass || vNorm < 0.7) {
+        if (k % 2 === 0) return 0;
+        shape = 1 / k;
+      } else {
+        shape = 1 / Math.sqrt(k); // hard bass notes keep their even partials
+      }
+    }
+    var bassHighBoost = (bass && k > 4 && vNorm > 0.6) ? Math.max(1, 1 + (vNorm - 0.6) * 0.4 * (1 - (k - 5) / 10)) : 1;
+    return boost * shape * (1 + vNorm * 0.2) * bassHighBoost;
+  }
+
+  /** Odd partials up, even partials down over the first six (the woody piano tone) */
+  function getOddEvenBalance(k) {
+    if (!isOn('oddEvenHarmonicBalance') || k > BALANCE_MAX_HARMONIC) return 1;
+    if (k === 1) return ODD_BOOST;
+    if (k % 2 === 1) return ODD_BOOST * (1 - ((k - 1) / (BALANCE_MAX_HARMONIC * 2)) * 0.3);
+    return EVEN_ATTENUATION + (1 - EVEN_ATTENUATION) * ((k - 2) / (BALANCE_MAX_HARMONIC * 2)) * 0.2;
+  }
+
+  /** How much faster partial k runs through its decay (v1_06 calculatePerPartialDecayTime) */
+  function getPartialDecaySpeed(k) {
+    if (!isOn('perPartialDecay')) return 1;
+    return 1 / Math.max(0.1, 1 - (k - 1) * PARTIAL_DECAY_SCALE);
+  }
+
+  // ========== Evolution (scheduled over the note) ==========
+
+  /** Fast and slow decay times and string resonance for a held key, by register and pedal */
+  function getEnvelopeState(f0, pedalDown) {
+    if (!isOn('pianoEnvelopeModel')) return { fastDecay: 0.3, slowDecay: 8, resonance: 0.5 };
+    var fast = f0 < 100 ? 0.5 : (f0 < 400 ? 0.3 : 0.1);
+    var slow = f0 < 100 ? 15 : (f0 < 400 ? 8 : 3);
+    if (pedalDown) return { fastDecay: fast, slowDecay: slow, resonance: 1 };
+    return { fastDecay: fast * 0.8, slowDecay: slow * 0.9, resonance: 0.3 };
+  }
+
+  /** Hammer contact, string settling and slow decay for partials above the sixth */
+  function getThreePhaseDecay(k, t) {
+    var t1 = 0.005;
+    var t2 = 0.05;
+    var t3 = 2;
+    if (t < t1) return Math.exp(-t * Math.pow(k, 2) / t1);
+    var phase2 = Math.exp(-1) * Math.exp(-(Math.min(t, t2) - t1) * Math.pow(k, 1.5) / (t2 - t1));
+    return t < t2 ? phase2 : phase2 * Math.exp(-(t - t2) * Math.pow(k, 0.7) / t3);
+  }
+
+  /** Level of partial k at t seconds relative to its start (v1_06 getHarmonicEvolution) */
+  function getHarmonicEvolution(k, t, state) {
+    if (!isOn('harmonicProfileEvolution')) return Math.exp(-t / state.slowDecay);
+    var level;
+    if (k > 6) {
+      level = getThreePhaseDecay(k, t);
+    } else {
+      var factor = Math.pow(k, 0.7);
+      level = t < state.fastDecay ? Math.exp(-t * factor / state.fastDecay)
+        : Math.exp(-factor) * Math.exp(-(t - state.fastDecay) * factor * 0.5 / state.slowDecay);
+    }
+    if (k > 8) level *= Math.min(t / 0.002, 1) * Math.exp(-t * Math.pow(k / 8, 2) / 0.05);
+    return clamp01(level * (1 - 0.3 * (1 - state.resonance) * (k / 16)));
+  }
+
+  /** Extra level for partials 2–4 of soft notes over the first ~100 ms */
+  function getSoftNotePunch(k, velocity, t) {
+    if (velocity > 40) return 1;
+    var initialBoost = 1 + (2 * (40 - velocity) / 40) * (k >= 2 && k <= 4 ? 1.5 : 1);
+    var decayTime = 0.03 + velocity / 127 * 0.1;
+    return 1 + (initialBoost - 1) * Math.min(t / 0.005, 1) * Math.exp(-Math.max(0, t - 0.005) / decayTime);
+  }
+
+  /** Karplus-Strong style burst on partials 2–6 of soft notes, fading back to 1 over the first 10 ms */
+  function getNoiseBurst(k, velocity, t) {
+    if (t > 0.01 || velocity >= 60 || k < 2 || k > 6) return 1;
+    return 1 + (1 - velocity / 60) * 0.5 * Math.exp(-t / 0.002);
+  }
+
+  /** Brightness of partial k: a peak during the attack, easing off over 0.5–2.5 s */
+  function getBrightness(k, velocity, t, attackTime) {
+    if (!isOn('timeVaryingBrightness')) return 1;
+    var vNorm = velocity / 127;
+    var brightness;
+    if (t < attackTime) {
+      brightness = (1 + 0.3 * Math.sin(t / attackTime * Math.PI) * vNorm) * (1 + (k - 1) * 0.05);
+    } else {
+      brightness = 1 + 0.2 * (1 - Math.min(1, (t - attackTime) / (0.5 + (1 - vNorm) * 2))) * vNorm;
+    }
+    return brightness * getSoftNotePunch(k, velocity, t) * getNoiseBurst(k, velocity, t);
+  }
+
+  /** Schedule one partial's level from note-on until it fades out */
+  function scheduleEvolution(param, partial, note) {
+    var times = [note.attackTime / 2, note.attackTime];
+    var step = EVOLUTION_FIRST_STEP;
+    for (var t = note.attackTime + step; t < EVOLUTION_MAX_TIME; t += step) {
+      times.push(t);
+      step *= EVOLUTION_STEP_GROWTH;
+    }
+    param.setValueAtTime(0, note.time);
+    for (var i = 0; i < times.length; i++) {
+      var share = Math.min(1, times[i] / note.attackTime) *
+        getHarmonicEvolution(partial.k, times[i] * partial.decaySpeed, note.state) *
+        getBrightness(partial.k, note.velocity, times[i], note.attackTime);
+      param.linearRampToValueAtTime(partial.level * share, note.time + times[i]);
+      if (times[i] > note.attackTime && share < EVOLUTION_FLOOR) break;
+    }
+  }
+
+  /**
+   * Layer engine startSource (see gsl-synth registerLayerEngine): sine partials driven by one
+   * ConstantSource holding the pitch ratio, so pitch bend moves every partial together.
+   */
+  function startSource(ctx, destination, p) {
+    var velocity = Math.max(0, Math.min(127, p.velocity));
+    var vNorm = velocity / 127;
+    var f0 = 440 * Math.pow(2, (p.midi - 69) / 12);
+    var b = getInharmonicity(p.midi, vNorm);
+    var nyquist = ctx.sampleRate / 2;
+    var note = {
+      time: p.time,
+      velocity: velocity,
+      attackTime: 0.01 + 0.02 * (1 - vNorm),
+      state: getEnvelopeState(f0, p.pedalDepth >= PEDAL_DOWN_DEPTH)
+    };
+
+    var partials = [];
+    var total = 0;
+    var count = getPartialCount(f0);
+    for (var k = 1; k <= count; k++) {
+      var freq = f0 * k * Math.sqrt(1 + b * k * k);
+      if (freq * p.rate >= nyquist) break;
+      var level = clamp01(getRolloff(k, f0) * getVelocityTimbre(k, vNorm, f0) * getOddEvenBalance(k));
+      if (level <= 0) continue;
+      partials.push({ k: k, freq: freq, level: level, decaySpeed: getPartialDecaySpeed(k) });
+      total += level;
+    }
+
+    var rate = ctx.createConstantSource();
+    rate.offset.setValueAtTime(p.rate, p.time);
+    var sources = [rate];
+    partials.forEach(function (partial) {
+      partial.level *= OUTPUT_LEVEL / total;
+      var frequency = ctx.createGain();
+      frequency.gain.value = partial.freq;
+      var osc = ctx.createOscillator();
+      osc.frequency.value = 0;
+      var gain = ctx.createGain();
+      rate.connect(frequency);
+      frequency.connect(osc.frequency);
+      osc.connect(gain);
+      gain.connect(destination);
+      scheduleEvolution(gain.gain, partial, note);
+      osc.start(p.time);
+      sources.push(osc);
+    });
+    rate.start(p.time);
+
+    return {
+      playbackRate: rate.offset,
+      stop: function (time) {
+        sources.forEach(function (source) {
+          try { source.stop(time); } catch (e) { /* already stopped */ }
+        });
+      }
+    };
+  }
+
+  window.physicsSettings = window.physicsSettings || {};
+  window.defaultPhysicsSettings = window.defaultPhysicsSettings || {};
+  PHYSICS_KEYS.forEach(function (key) {
+    if (window.physicsSettings[key] === undefined) window.physicsSettings[key] = true;
+    if (window.defaultPhysicsSettings[key] === undefined) window.defaultPhysicsSettings[key] = true;
+  });
+
+  if (window.gslSynth && window.gslSynth.registerLayerEngine) {
+    window.gslSynth.registerLayerEngine(SLUG, {
+      label: 'Additive piano (physics)',
+      preset: { attack: 0.005, decay: 0, sustain: 1, release: 0.5, naturalDecay: null },
+      physics: PHYSICS_KEYS.slice(),
+      startSource: startSource
+    });
+  }
+})();
@@ -0,0 +1,217 @@
+/**
+ * Delay pseudo-reverb (stereo widening) for the GSL master chain, ported from v1_06 to plain Web Audio.
+ * Crossover at crossoverFreq: lows and the dry highs pass in stereo; the highs also feed a mono-summed
+ * network of three modulated, filtered feedback delays (left 13 ms, right 29 ms, center 3 ms) spread to L/R.
+ * Cosmic mode swaps in long delays with ping-pong feedback. Inserted by main.js reconnectAudioChain.
+ */
+(function () {
+  'use strict';
+
+  var settings = {
+    enabled: false,
+    dryWet: 0.3, // share of the highs sent through the delay network
+    crossoverFreq: 300, // Hz; below this the signal stays dry
+    delayLeft: 0.013,
+    delayRight: 0.029,
+    delayCenter: 0.003, // Haas delay, both channels
+    feedbackLeft: 0.15,
+    feedbackRight: 0.15,
+    feedbackCenter: 0.1,
+    modulationAmount: 0.001, // seconds of delay-time wobble, left
+    modulationAmountRight: 0.002, // right
+    feedbackHighpass: 500, // Hz, in the feedback paths
+    feedbackLowpass: 8000, // Hz, darkens the repeats
+    crossFeedback: true,
+    crossFeedbackAmount: 0.2,
+    cosmicMode: false, // long delays with ping-pong and more feedback
+    pingPongDelay: false,
+    pingPongAmount: 0.3,
+    longDelayLeft: 0.150,
+    longDelayRight: 0.200,
+    cosmicFeedback: 0.25
+  };
+
+  var DEFAULTS = Object.assign({}, settings);
+  var LFO_RATE_LEFT = 0.5; // Hz
+  var LFO_RATE_RIGHT = 0.3;
+  var NETWORK_LEVEL = 0.7; // left/right delay level into their channel
+  var CENTER_LEVEL = 0.5; // center delay level into each channel
+  var CROSS_FEEDBACK_SHARES = [0.25, 0.2, 0.15]; // left -> right -> center -> left
+
+  var effect = null; // { ctx, input, output, nodes, sources }
+
+  function createFilter(ctx, type, frequency) {
+    var filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = 0.707;
+    return filter;
+  }
+
+  function teardown() {
+    effect.sources.forEach(function (source) {
+      try { source.stop(); } catch (e) { /* already stopped */ }
+    });
+    effect.nodes.forEach(function (node) { node.disconnect(); });
+    effect.input.disconnect();
+    effect.nodes = [];
+    effect.sources = [];
+  }
+
+  /**
+   * Build the delay network fed by `input` (mono) into the left and right channels of `merger`.
+   * Every node is tracked on the effect so a rebuild can release it.
+   */
+  function buildDelayNetwork(ctx, input, merger) {
+    var track = function (node) { effect.nodes.push(node); return node; };
+    var gain = function (value) {
+      var g = track(ctx.createGain());
+      g.gain.value = value;
+      return g;
+    };
+    var cosmic = settings.cosmicMode;
+    var maxDelay = cosmic ? 2.0 : 1.0;
+    var left = track(ctx.createDelay(maxDelay));
+    var right = track(ctx.createDelay(maxDelay));
+    var center = track(ctx.createDelay(maxDelay));
+    left.delayTime.value = cosmic ? settings.longDelayLeft : settings.delayLeft;
+    right.delayTime.value = cosmic ? settings.longDelayRight : settings.delayRight;
+    center.delayTime.value = settings.delayCenter;
+    input.connect(left);
+    input.connect(right);
+    input.connect(center);
+
+    [[left, LFO_RATE_LEFT, settings.modulationAmount], [right, LFO_RATE_RIGHT, settings.modulationAmountRight]].forEach(function (m) {
+      var lfo = track(ctx.createOscillator());
+      lfo.frequency.value = m[1];
+      var depth = gain(m[2]);
+      lfo.connect(depth);
+      depth.connect(m[0].delayTime);
+      lfo.start();
+      effect.sources.push(lfo);
+    });
+
+    // Feedback: highpass -> lowpass -> gain back into the line (center skips the lowpass)
+    var feedback = [
+      [left, cosmic ? settings.cosmicFeedback : settings.feedbackLeft, true],
+      [right, cosmic ? settings.cosmicFeedback : settings.feedbackRight, true],
+      [center, settings.feedbackCenter, false]
+    ];
+    feedback.forEach(function (f) {
+      var node = track(createFilter(ctx, 'highpass', settings.feedbackHighpass));
+      f[0].connect(node);
+      if (f[2]) {
+        var lowpass = track(createFilter(ctx, 'lowpass', settings.feedbackLowpass));
+        node.connect(lowpass);
+        node = lowpass;
+      }
+      var amount = gain(f[1]);
+      node.connect(amount);
+      amount.connect(f[0]);
+    });
+
+    if (settings.pingPongDelay || cosmic) {
+      var leftToRight = gain(settings.pingPongAmount);
+      var rightToLeft = gain(settings.pingPongAmount);
+      left.connect(leftToRight);
+      leftToRight.connect(right);
+      right.connect(rightToLeft);
+      rightToLeft.connect(left);
+    }
+    if (settings.crossFeedback) {
+      [[left, right], [right, center], [center, left]].forEach(function (pair, i) {
+        var cross = gain(settings.crossFeedbackAmount * CROSS_FEEDBACK_SHARES[i]);
+        pair[0].connect(cross);
+        cross.connect(pair[1]);
+      });
+    }
+
+    var leftOut = gain(NETWORK_LEVEL);
+    var rightOut = gain(NETWORK_LEVEL);
+    var centerOut = gain(CENTER_LEVEL);
+    left.connect(leftOut);
+    right.connect(rightOut);
+    center.connect(centerOut);
+    leftOut.connect(merger, 0, 0);
+    rightOut.connect(merger, 0, 1);
+    centerOut.connect(merger, 0, 0);
+    centerOut.connect(merger, 0, 1);
+  }
+
+  /** (Re)build the processing between the persistent input and output nodes from the current settings */
+  function setupDelayPseudoReverbChain() {
+    if (!effect) return;
+    var ctx = effect.ctx;
+    teardown();
+    if (!settings.enabled) {
+      effect.input.connect(effect.output);
+      return;
+    }
+    var lowpass = createFilter(ctx, 'lowpass', settings.crossoverFreq);
+    var highpass = createFilter(ctx, 'highpass', settings.crossoverFreq);
+    var highDry = ctx.createGain();
+    highDry.gain.value = 1 - settings.dryWet;
+    var highWet = ctx.createGain();
+    highWet.gain.value = settings.dryWet;
+    highWet.channelCount = 1; // the delay network runs on the mono sum
+    highWet.channelCountMode = 'explicit';
+    var merger = ctx.createChannelMerger(2);
+    effect.nodes.push(lowpass, highpass, highDry, highWet, merger);
+
+    effect.input.connect(lowpass);
+    effect.input.connect(highpass);
+    lowpass.connect(effect.output);
+    highpass.connect(highDry);
+    highDry.connect(effect.output);
+    highpass.connect(highWet);
+    buildDelayNetwork(ctx, highWet, merger);
+    merger.connect(effect.output);
+  }
+
+  function initializeDelayPseudoReverb(ctx) {
+    ctx = ctx || (window.synth && window.synth.synth && window.synth.synth.audioCtx);
+    if (!ctx) {
+      console.warn('Delay pseudo-reverb: AudioContext not available');
+      return false;
+    }
+    if (effect && effect.ctx === ctx) return true;
+    effect = { ctx: ctx, input: ctx.createGain(), output: ctx.createGain(), nodes: [], sources: [] };
+    setupDelayPseudoReverbChain();
+    return true;
+  }
+
+  /**
+   * Insert the effect after inputNode; returns the node to continue the chain from
+   * (inputNode itself while disabled).
+   */
+  function connectDelayPseudoReverb(inputNode) {
+    if (!settings.enabled || !initializeDelayPseudoReverb(inputNode.context)) return inputNode;
+    inputNode.connect(effect.input);
+    return effect.output;
+  }
+
+  function getDelayPseudoReverbSettings() {
+    return Object.assign({}, settings);
+  }
+
+  /** Merge newSettings (a partial settings object) and rebuild the chain */
+  function setDelayPseudoReverbSettings(newSettings) {
+    if (newSettings !== settings) Object.assign(settings, newSettings);
+    setupDelayPseudoReverbChain();
+  }
+
+  /** Restore every setting except `enabled` to its default and rebuild the chain */
+  function resetDelayPseudoReverbToDefaults() {
+    var enabled = settings.enabled;
+    Object.assign(settings, DEFAULTS, { enabled: enabled });
+    setupDelayPseudoReverbChain();
+  }
+
+  window.delayPseudoReverbSettings = settings;
+  window.initializeDelayPseudoReverb = initializeDelayPseudoReverb;
+  window.connectDelayPseudoReverb = connectDelayPseudoReverb;
+  window.getDelayPseudoReverbSettings = getDelayPseudoReverbSettings;
+  window.setDelayPseudoReverbSettings = setDelayPseudoReverbSettings;
+  window.updateDelayPseudoReverbSettings = setupDelayPseudoReverbChain;
+  window.resetDelayPseudoReverbToDefaults = resetDelayPseudoReverbToDefaults;
+})();
@@ -0,0 +1,91 @@
+/**
+ * Parameter automation timeline for the AudioWorklet voice engine.
+ * Implements the part of AudioParam scheduling gsl-synth.js uses (setValueAtTime, linear/exponential ramps,
+ * setTargetAtTime, cancelScheduledValues). Loaded as a page script (voice facades read .value from it) and
+ * into the AudioWorklet (the processor evaluates it per sample), so both sides follow the same curve.
+ */
+(function (scope) {
+  'use strict';
+
+  function ParamTimeline(value) {
+    this.defaultValue = value;
+    this.events = []; // [{ type: 'set'|'linear'|'exp'|'target', time, value, tau }] sorted by time
+  }
+
+  ParamTimeline.prototype.add = function (event) {
+    var i = this.events.length;
+    while (i > 0 && this.events[i - 1].time > event.time) i--;
+    this.events.splice(i, 0, event);
+  };
+
+  ParamTimeline.prototype.setValueAtTime = function (value, time) {
+    this.add({ type: 'set', time: time, value: value });
+  };
+
+  ParamTimeline.prototype.linearRampToValueAtTime = function (value, time) {
+    this.add({ type: 'linear', time: time, value: value });
+  };
+
+  ParamTimeline.prototype.exponentialRampToValueAtTime = function (value, time) {
+    this.add({ type: 'exp', time: time, value: value });
+  };
+
+  ParamTimeline.prototype.setTargetAtTime = function (value, time, tau) {
+    this.add({ type: 'target', time: time, value: value, tau: Math.max(tau, 1e-6) });
+  };
+
+  ParamTimeline.prototype.cancelScheduledValues = function (time) {
+    this.events = this.events.filter(function (e) { return e.time < time; });
+  };
+
+  /** Value at `time`: ramps run from the previous event, setTarget curves until the next event. */
+  ParamTimeline.prototype.valueAt = function (time) {
+    var value = this.defaultValue;
+    var from = 0;
+    var events = this.events;
+    for (var i = 0; i < events.length; i++) {
+      var e = events[i];
+      if (e.type === 'target') {
+        if (e.time > time) break;
+        var next = events[i + 1];
+        var until = next && next.time <= time ? next.time : time;
+        value = e.value + (value - e.value) * Math.exp(-(until - e.time) / e.tau);
+        from = until;
+        continue;
+      }
+      if (e.time <= time) {
+        value = e.value;
+        from = e.time;
+        continue;
+      }
+      if (e.type === 'linear') {
+        value += (e.value - value) * (time - from) / (e.time - from);
+      } else if (e.type === 'exp' && value > 0 && e.value > 0) {
+        value *= Math.pow(e.value / value, (time - from) / (e.time - from));
+      }
+      break;
+    }
+    return value;
+  };
+
+  /** Whether the value stays the same from `time` on (nothing scheduled, no curve running) */
+  ParamTimeline.prototype.isConstantAfter = function (time) {
+    var events = this.events;
+    var last = events[events.length - 1];
+    return !last || (last.time <= time && last.type !== 'target');
+  };
+
+  /** Fold the events before `time` into one starting value (keeps a running setTarget), so evaluation stays short */
+  ParamTimeline.prototype.compact = function (time) {
+    var events = this.events;
+    var past = 0;
+    while (past < events.length && events[past].time <= time) past++;
+    if (past === 0) return;
+    var running = events[past - 1].type === 'target' ? events[past - 1] : null;
+    var start = { type: 'set', time: time, value: this.valueAt(time) };
+    var rest = events.slice(past);
+    this.events = running ? [start, { type: 'target', time: time, value: running.value, tau: running.tau }].concat(rest) : [start].concat(rest);
+  };
+
+  scope.GslParamTimeline = ParamTimeline;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,13 +1,14 @@
 /**
  * GSL Sample Synth for PriMIDI 3D piano.
- * Plays GSL instrument samples from MIDI note on/off with velocity and sustain pedal.
- * Reverb (send + convolver) and stereo width (mid/side). Compatible with midi-mapping.js.
+ * Plays GSL instrument samples from MIDI note on/off with velocity, sustain/soft pedals and pitch bend.
+ * Reverb (send + convolver) and stereo width (mid/side); the same graph renders offline. Compatible with midi-mapping.js.
  */
 (function () {
   'use strict';
 
   var audioCtx = null;
   var masterGain = null;
+  var outputGain = null; // after the master effects main.js inserts (reconnectAudioChain); the output recorder taps it
   var dryGain = null;
   var reverbSend = null;
   var reverbNode = null;
@@ -22,8 +23,38 @@
   var invGain = null;
   var sumGain = null;
   var lastMasterVolumePercent = 1000; // 0–2000, default 1000%
-  var activeVoices = {}; // noteName -> [{ gain, bufferSource, release }]
+  var reverbAmount = 0.3; // reverb send/wet gain, kept so offline renders match the live mix
+  var stereoWidth = -75; // last setStereoWidth value (mid EQ, -100..0)
+  var activeVoices = {}; // noteName -> [{ gain, bufferSource, release, baseRate }]
+  var releasingVoices = []; // [{ voice, midi, releasedAt, endTime }] released voices still fading out
+  var maxVoices = 128; // polyphony limit in buffer sources (all layers); 0 = unlimited
+  var voiceEngine = 'nodes'; // 'nodes' (buffer source + gain per voice) or 'worklet' (gsl-worklet-engine.js, live playback only)
+  var layerEngines = {}; // layer slug -> synthesis engine played instead of a sample preset (registerLayerEngine)
+  var ENGINE_ZONE = {}; // stands in for the sample zone of engine voices: no choke group, envelope from the engine preset
+  var STEAL_FADE_TIME = 0.015; // seconds; fade-out for stolen voices (short enough to free them fast, long enough not to click)
+  var CHOKE_FADE_TIME = 0.03; // seconds; fade-out for voices cut by their choke group (closed hi-hat over open)
+  var pitchBendSemitones = 0; // current wheel position in semitones (range applied by caller)
+  var PITCH_BEND_SMOOTHING = 0.008; // setTargetAtTime time constant: fast enough to follow the wheel, no zipper noise
+  var sustainPedalDepth = 0; // 0 = dampers down, 1 = fully lifted (half-pedal in between)
+  var HALF_PEDAL_MAX_DAMP_TIME = 8; // seconds; damping time constant just below full pedal
+  var softPedalOn = false; // una corda: applies to notes started while it is down
+  var SOFT_PEDAL_GAIN = 0.7; // about -3 dB
+  var SOFT_PEDAL_MIN_CUTOFF = 1200; // Hz; lowpass never goes below this
+  var SOFT_PEDAL_CUTOFF_HARMONIC = 6; // otherwise keep roughly the first 6 harmonics
+  var REVERB_SECONDS = 2.2; // impulse response length (also the tail added to offline renders)
+  var REVERB_DECAY = 2.4;
   var SAMPLE_ENVELOPE = { attack: 0.02, decay: 0.15, sustain: 0.6, release: 0.3 };
+  /* Natural decay (presets with naturalDecay = seconds to silence at middle C, like NATURAL_DECAY in the calm engines) */
+  var NATURAL_DECAY_REF_MIDI = 60;
+  var NATURAL_DECAY_OCTAVE_FACTOR = 0.6; // each octave up dies away in 60% of the time; bass strings ring longer
+  var NATURAL_DECAY_PEDAL_STRETCH = 1.5; // dampers fully lifted: sympathetic strings keep notes alive 50% longer
+  var NATURAL_DECAY_MIN = 0.3;
+  var NATURAL_DECAY_MAX = 60;
+  var NATURAL_DECAY_TIME_CONSTANTS = 6.9; // setTargetAtTime reaches -60 dB after ln(1000) time constants
+  /* Per-layer filter (window.gslSlotFilters) */
+  var FILTER_TYPES = { lowpass: true, highpass: true, bandpass: true };
+  var FILTER_VELOCITY_OCTAVES = 4; // velocity amount 100%: the softest note sits 4 octaves below the full-velocity cutoff
+  var FILTER_MIN_FREQ = 20;
   var DELAY_MOD_CHANCE = 0.618;
   var DELAY_MOD_AMOUNT_HUMAN = 0.05;
   var DELAY_MOD_AMOUNT_DRUNK = 0.128;
@@ -135,68 +166,172 @@
     return (octave + 1) * 12 + noteIndex;
   }
 
+  /**
+   * Build the output graph on a context: per-layer slot gains -> dry + reverb send (convolver),
+   * mid/side stereo width, master gain -> output gain -> destination. Used by the live context and offline renders.
+   */
+  function buildOutputGraph(ctx) {
+    var now = ctx.currentTime;
+    var g = { slotGains: [] };
+    g.masterGain = ctx.createGain();
+    g.masterGain.gain.setValueAtTime(lastMasterVolumePercent / 100, now);
+
+    g.dryGain = ctx.createGain();
+    g.dryGain.gain.setValueAtTime(1, now);
+    g.reverbSend = ctx.createGain();
+    g.reverbSend.gain.setValueAtTime(reverbAmount, now);
+    g.reverbNode = ctx.createConvolver();
+    g.reverbNode.buffer = createImpulseResponse(ctx, REVERB_SECONDS, REVERB_DECAY);
+    g.reverbWet = ctx.createGain();
+    g.reverbWet.gain.setValueAtTime(reverbAmount, now);
+
+    g.sumGain = ctx.createGain();
+    g.sumGain.gain.setValueAtTime(1, now);
+    g.dryGain.connect(g.sumGain);
+    g.reverbSend.connect(g.reverbNode);
+    g.reverbNode.connect(g.reverbWet);
+    g.reverbWet.connect(g.sumGain);
+    for (var s = 0; s < NUM_SLOTS; s += 1) {
+      var sg = ctx.createGain();
+      sg.gain.setValueAtTime(1, now);
+      sg.connect(g.dryGain);
+      sg.connect(g.reverbSend);
+      g.slotGains.push(sg);
+    }
+
+    g.widthSplit = ctx.createChannelSplitter(2);
+    g.sumGain.connect(g.widthSplit);
+    g.midSum = ctx.createGain();
+    g.sideSum = ctx.createGain();
+    g.midGain = ctx.createGain();
+    g.sideGain = ctx.createGain();
+    g.sideGainInv = ctx.createGain();
+    g.midGain.gain.setValueAtTime(getStereoWidthMidAmount(stereoWidth), now);
+    g.invGain = ctx.createGain();
+    g.invGain.gain.setValueAtTime(-1, now);
+    g.sideGainInv.gain.setValueAtTime(-1, now);
+    g.widthMerge = ctx.createChannelMerger(2);
+
+    g.widthSplit.connect(g.midSum, 0);
+    g.widthSplit.connect(g.midSum, 1);
+    g.widthSplit.connect(g.sideSum, 0);
+    g.widthSplit.connect(g.invGain, 1);
+    g.invGain.connect(g.sideSum);
+    g.midSum.connect(g.midGain);
+    g.sideSum.connect(g.sideGain);
+    g.sideGain.connect(g.sideGainInv);
+    g.midGain.connect(g.widthMerge, 0, 0);
+    g.sideGain.connect(g.widthMerge, 0, 0);
+    g.midGain.connect(g.widthMerge, 0, 1);
+    g.sideGainInv.connect(g.widthMerge, 0, 1);
+    g.widthMerge.connect(g.masterGain);
+    g.outputGain = ctx.createGain();
+    g.masterGain.connect(g.outputGain);
+    g.outputGain.connect(ctx.destination);
+    return g;
+  }
+
   function ensureContext() {
     if (audioCtx) return audioCtx;
     audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    masterGain = audioCtx.createGain();
-    masterGain.gain.setValueAtTime(lastMasterVolumePercent / 100, audioCtx.currentTime);
-
-    dryGain = audioCtx.createGain();
-    dryGain.gain.setValueAtTime(1, audioCtx.currentTime);
-    reverbSend = audioCtx.createGain();
-    reverbSend.gain.setValueAtTime(0.3, audioCtx.currentTime);
-    reverbNode = audioCtx.createConvolver();
-    reverbNode.buffer = createImpulseResponse(audioCtx, 2.2, 2.4);
-    reverbWet = audioCtx.createGain();
-    reverbWet.gain.setValueAtTime(0.3, audioCtx.currentTime);
-
-    sumGain = audioCtx.createGain();
-    sumGain.gain.setValueAtTime(1, audioCtx.currentTime);
-    dryGain.connect(sumGain);
-    reverbSend.connect(reverbNode);
-    reverbNode.connect(reverbWet);
-    reverbWet.connect(sumGain);
+    var graph = buildOutputGraph(audioCtx);
+    masterGain = graph.masterGain;
+    outputGain = graph.outputGain;
+    dryGain = graph.dryGain;
+    reverbSend = graph.reverbSend;
+    reverbNode = graph.reverbNode;
+    reverbWet = graph.reverbWet;
+    sumGain = graph.sumGain;
+    widthSplit = graph.widthSplit;
+    midSum = graph.midSum;
+    sideSum = graph.sideSum;
+    midGain = graph.midGain;
+    sideGain = graph.sideGain;
+    sideGainInv = graph.sideGainInv;
+    invGain = graph.invGain;
+    widthMerge = graph.widthMerge;
     slotGains.length = 0;
-    for (var s = 0; s < NUM_SLOTS; s += 1) {
-      var sg = audioCtx.createGain();
-      sg.gain.setValueAtTime(1, audioCtx.currentTime);
-      sg.connect(dryGain);
-      sg.connect(reverbSend);
-      slotGains.push(sg);
-    }
+    for (var s = 0; s < graph.slotGains.length; s += 1) slotGains.push(graph.slotGains[s]);
     startEveryBarUpdateLoop();
 
-    widthSplit = audioCtx.createChannelSplitter(2);
-    sumGain.connect(widthSplit);
-    midSum = audioCtx.createGain();
-    sideSum = audioCtx.createGain();
-    midGain = audioCtx.createGain();
-    sideGain = audioCtx.createGain();
-    sideGainInv = audioCtx.createGain();
-    invGain = audioCtx.createGain();
-    invGain.gain.setValueAtTime(-1, audioCtx.currentTime);
-    sideGainInv.gain.setValueAtTime(-1, audioCtx.currentTime);
-    widthMerge = audioCtx.createChannelMerger(2);
-
-    widthSplit.connect(midSum, 0);
-    widthSplit.connect(midSum, 1);
-    widthSplit.connect(sideSum, 0);
-    widthSplit.connect(invGain, 1);
-    invGain.connect(sideSum);
-    midSum.connect(midGain);
-    sideSum.connect(sideGain);
-    sideGain.connect(sideGainInv);
-    midGain.connect(widthMerge, 0, 0);
-    sideGain.connect(widthMerge, 0, 0);
-    midGain.connect(widthMerge, 0, 1);
-    sideGainInv.connect(widthMerge, 0, 1);
-    widthMerge.connect(masterGain);
-    masterGain.connect(audioCtx.destination);
-
-    setStereoWidth(-75);
+    setStereoWidth(stereoWidth);
+    if (voiceEngine === 'worklet') initWorkletEngine();
     return audioCtx;
   }
 
+  /**
+   * Load the AudioWorklet engine on the live context; falls back to node voices if it cannot start
+   * and fires a 'gsl-voice-engine-change' window event so the settings select can follow.
+   */
+  function initWorkletEngine() {
+    if (!window.GslWorkletEngine) {
+      console.warn('GSL: AudioWorklet engine not loaded, using node voices');
+      fallBackToNodes();
+      return;
+    }
+    window.GslWorkletEngine.init(audioCtx, slotGains).catch(function (err) {
+      console.warn('GSL: AudioWorklet engine unavailable, using node voices:', err);
+      fallBackToNodes();
+    });
+  }
+
+  function fallBackToNodes() {
+    voiceEngine = 'nodes';
+    if (typeof window.dispatchEvent === 'function' && typeof window.CustomEvent === 'function') {
+      window.dispatchEvent(new window.CustomEvent('gsl-voice-engine-change', { detail: { engine: voiceEngine } }));
+    }
+  }
+
+  /**
+   * Choose how live voices are played: 'nodes' or 'worklet'. Notes already sounding keep their engine;
+   * until the worklet has loaded, new notes still use nodes.
+   */
+  function setVoiceEngine(name) {
+    voiceEngine = name === 'worklet' ? 'worklet' : 'nodes';
+    if (voiceEngine === 'worklet' && audioCtx) initWorkletEngine();
+  }
+
+  function getVoiceEngine() {
+    return voiceEngine;
+  }
+
+  /**
+   * Register a synthesis engine that a layer can use in place of a sample preset: a layer whose slug
+   * (window.gslPresetSlots) is `slug` plays through it. engine: { label, preset ({ attack, decay, sustain,
+   * release, naturalDecay }, as a sample preset), startSource(ctx, destination, p) }. startSource starts the
+   * sound at p.time into `destination` (p: { midi, velocity, time, rate, pedalDepth }) and returns
+   * { playbackRate (AudioParam, pitch ratio), stop(time) }; envelope, filter, pan, pedals and release are
+   * applied around it as for samples, live and in offline renders.
+   */
+  function registerLayerEngine(slug, engine) {
+    layerEngines[slug] = engine;
+  }
+
+  function getLayerEngine(slug) {
+    return Object.prototype.hasOwnProperty.call(layerEngines, slug) ? layerEngines[slug] : null;
+  }
+
+  /** Registered engines as [{ slug, label }] (for the instrument grid) */
+  function getLayerEngines() {
+    return Object.keys(layerEngines).map(function (slug) {
+      return { slug: slug, label: layerEngines[slug].label || slug };
+    });
+  }
+
+  /** Loaded zones for a layer: one ENGINE_ZONE entry on engine layers (no release samples) */
+  function getLayerSources(handler, presetName, midi, velocity, bufferCtx, trigger) {
+    if (getLayerEngine(presetName)) return trigger === 'release' ? [] : [{ zone: ENGINE_ZONE, buffer: null, gain: 1 }];
+    return getLayerZones(handler, presetName, midi, velocity, bufferCtx, trigger);
+  }
+
+  /** Preset of a layer: the engine preset on engine layers, else the sample preset (null until loaded) */
+  function getLayerPreset(handler, presetName) {
+    var engine = getLayerEngine(presetName);
+    if (engine) return engine.preset;
+    var preset = handler && handler.getPreset(presetName);
+    return preset && preset.zones ? preset : null;
+  }
+
   function getCurrentPreset() {
     var slots = getCurrentPresetSlots();
     return (slots && slots.length > 0) ? slots[0] : ((typeof window !== 'undefined' && window.currentGslPreset) ? window.currentGslPreset : null);
@@ -220,6 +355,63 @@
     return (s != null && !isNaN(s)) ? Math.max(-12, Math.min(12, s)) : 0;
   }
 
+  /**
+   * Per-layer key range (window.gslSlotKeyRanges[slot]: { low, high } MIDI keys, or null for the whole keyboard).
+   * Returns whether the layer sounds when `midi` is played.
+   */
+  function slotCoversKey(slotIndex, midi) {
+    var arr = typeof window !== 'undefined' && window.gslSlotKeyRanges && Array.isArray(window.gslSlotKeyRanges) ? window.gslSlotKeyRanges : [];
+    var range = arr[slotIndex];
+    if (!range) return true;
+    return midi >= (range.low != null ? range.low : 0) && midi <= (range.high != null ? range.high : 127);
+  }
+
+  /** Per-layer transpose (window.gslSlotTranspose, semitones): the layer plays another note, zones included, unlike the semitone slider which repitches the same sample */
+  function getSlotTranspose(slotIndex) {
+    var arr = typeof window !== 'undefined' && window.gslSlotTranspose && Array.isArray(window.gslSlotTranspose) ? window.gslSlotTranspose : [];
+    var t = arr[slotIndex];
+    return (t != null && !isNaN(t)) ? Math.max(-48, Math.min(48, Math.round(t))) : 0;
+  }
+
+  /**
+   * Per-layer velocity window (window.gslSlotVelocityWindows[slot]: { low, high, fade } in MIDI velocity,
+   * or null for every velocity). Returns the layer gain for `velocity`: 1 inside low..high, 0 outside,
+   * with an equal-power crossfade `fade` velocities wide centered on each edge (none at 0 and 127).
+   */
+  function getSlotVelocityGain(slotIndex, velocity) {
+    var arr = typeof window !== 'undefined' && window.gslSlotVelocityWindows && Array.isArray(window.gslSlotVelocityWindows) ? window.gslSlotVelocityWindows : [];
+    var w = arr[slotIndex];
+    if (!w) return 1;
+    var low = w.low != null ? w.low : 0;
+    var high = w.high != null ? w.high : 127;
+    var fade = Math.max(0, w.fade || 0);
+    if (fade === 0) return (velocity >= low && velocity <= high) ? 1 : 0;
+    var gain = 1;
+    if (low > 0) gain = Math.min(gain, Math.max(0, Math.min(1, (velocity - low + fade / 2) / fade)));
+    if (high < 127) gain = Math.min(gain, Math.max(0, Math.min(1, (high + fade / 2 - velocity) / fade)));
+    return Math.sin(gain * Math.PI / 2);
+  }
+
+  /**
+   * Pan of one voice: the layer pan (window.gslSlotPans[slot], -1..1) plus the keyboard spread
+   * (window.gslKeyboardSpread, 0..1: low keys left, high keys right, same curve as keyboardPanAmount in the v1_09 engines).
+   */
+  function getVoicePan(slotIndex, midi) {
+    var pans = typeof window !== 'undefined' && window.gslSlotPans && Array.isArray(window.gslSlotPans) ? window.gslSlotPans : [];
+    var pan = pans[slotIndex];
+    pan = (pan != null && !isNaN(pan)) ? pan : 0;
+    var spread = typeof window !== 'undefined' ? Number(window.gslKeyboardSpread) : 0;
+    if (spread > 0) {
+      var keyNorm = Math.max(-1, Math.min(1, (midi - 64) / 64));
+      pan += (keyNorm < 0 ? -1 : 1) * Math.sqrt(Math.abs(keyNorm)) * 0.75 * Math.min(1, spread);
+    }
+    return Math.max(-1, Math.min(1, pan));
+  }
+
+  function getLayerMidi(slotIndex, midi) {
+    return Math.max(0, Math.min(127, midi + getSlotTranspose(slotIndex)));
+  }
+
   function getLayerPlayStyle(slotIndex) {
     var g = typeof window !== 'undefined' && window.gslLayerPlayStyle;
     if (typeof g === 'string') return (g === 'human' || g === 'drunk') ? g : 'none';
@@ -274,7 +466,235 @@
     return noteDurationSeconds * amount * remainder;
   }
 
-  function triggerAttack(noteName, when, amplitude) {
+  /**
+   * Per-layer envelope override from the Sound tab (window.gslSlotEnvelopes[slot]:
+   * { attack, decay, sustain, release } or null for the preset's own envelope).
+   */
+  function getSlotEnvelope(slotIndex) {
+    var arr = typeof window !== 'undefined' && window.gslSlotEnvelopes && Array.isArray(window.gslSlotEnvelopes) ? window.gslSlotEnvelopes : [];
+    return arr[slotIndex] || null;
+  }
+
+  /**
+   * Per-layer filter from the Sound tab (window.gslSlotFilters[slot]), or null when off:
+   * { type: 'lowpass'|'highpass'|'bandpass', cutoff (Hz at full velocity, middle C), resonance (Q),
+   *   velocity (-1..1, cutoff follows velocity), keyTrack (0..1, cutoff follows pitch),
+   *   envAmount (octaves, 0 = no filter envelope), envAttack, envDecay (seconds) }
+   */
+  function getSlotFilter(slotIndex) {
+    var arr = typeof window !== 'undefined' && window.gslSlotFilters && Array.isArray(window.gslSlotFilters) ? window.gslSlotFilters : [];
+    var f = arr[slotIndex];
+    return (f && FILTER_TYPES[f.type]) ? f : null;
+  }
+
+  /** Filter settings for one voice: cutoff moved by velocity (0–127) and key tracking of its sounding pitch. */
+  function getVoiceFilter(filter, pitch, velocity) {
+    if (!filter) return null;
+    var velocityOctaves = (filter.velocity || 0) * FILTER_VELOCITY_OCTAVES * (Math.max(0, Math.min(127, velocity)) / 127 - 1);
+    var keyOctaves = (filter.keyTrack || 0) * (pitch - 60) / 12;
+    return {
+      type: filter.type,
+      cutoff: (filter.cutoff || 1000) * Math.pow(2, velocityOctaves + keyOctaves),
+      resonance: filter.resonance != null ? filter.resonance : 0.7,
+      envAmount: filter.envAmount || 0,
+      envAttack: Math.max(0.001, filter.envAttack || 0.005),
+      envDecay: Math.max(0.001, filter.envDecay || 0.3)
+    };
+  }
+
+  /**
+   * Envelope for a zone: the layer override, then zone values (SoundFont/SFZ volume envelope),
+   * then preset values (manifest), then the default.
+   */
+  function getZoneEnvelope(preset, zone, override) {
+    function pick(key) {
+      if (override && typeof override[key] === 'number' && !isNaN(override[key])) return override[key];
+      if (zone && zone[key] != null) return zone[key];
+      return (preset[key] != null) ? preset[key] : SAMPLE_ENVELOPE[key];
+    }
+    return { attack: pick('attack'), decay: pick('decay'), sustain: pick('sustain'), release: pick('release') };
+  }
+
+  /**
+   * Seconds for a held note to die away: the preset's naturalDecay scaled by pitch (longer in the bass),
+   * sustain pedal depth (longer with the dampers lifted) and the Sound tab setting (window.gslNaturalDecayScale).
+   * Returns null when the preset has no natural decay or it is switched off.
+   */
+  function getNaturalDecayTime(naturalDecay, midi, pedalDepth) {
+    var scale = (typeof window !== 'undefined' && window.gslNaturalDecayScale != null) ? Number(window.gslNaturalDecayScale) : 1;
+    if (!naturalDecay || !(scale > 0)) return null;
+    var seconds = naturalDecay * scale *
+      Math.pow(NATURAL_DECAY_OCTAVE_FACTOR, (midi - NATURAL_DECAY_REF_MIDI) / 12) *
+      (1 + (NATURAL_DECAY_PEDAL_STRETCH - 1) * (pedalDepth || 0));
+    return Math.max(NATURAL_DECAY_MIN, Math.min(NATURAL_DECAY_MAX, seconds));
+  }
+
+  function getNaturalDecayTimeConstant(voice, pedalDepth) {
+    var seconds = getNaturalDecayTime(voice.naturalDecay, voice.pitch, pedalDepth);
+    return seconds != null ? seconds / NATURAL_DECAY_TIME_CONSTANTS : null;
+  }
+
+  /**
+   * Start one sample voice: buffer source -> (soft-pedal lowpass) -> envelope gain -> (filter) -> (panner) -> output node(s).
+   * With the AudioWorklet engine (setVoiceEngine('worklet')) live voices on a layer output are mixed by
+   * gsl-voice-processor.js instead; the returned gain/bufferSource then forward the same calls to it.
+   * Zones loop unless loop === false; oneShot zones play through once and ignore note-off.
+   * With p.engine (a registered layer engine) its startSource replaces the buffer source (node chain only).
+   * p: { zone, buffer, midi, semitones, time, peak, sustainLevel, attack, decay, release, bendRatio, soft,
+   *      naturalDecay, pedalDepth, filter (from getVoiceFilter; inserted after the envelope gain), pan (-1..1, from getVoicePan),
+   *      engine, velocity (MIDI 0–127, passed to the engine) }
+   * Returns the voice record kept in activeVoices ({ gain, bufferSource, sustain, release, baseRate, ... }).
+   */
+  function startSampleVoice(ctx, output, p) {
+    var outputs = Array.isArray(output) ? output : [output];
+    var nyquist = ctx.sampleRate / 2 - 100;
+    var zone = p.zone;
+    var buf = p.buffer;
+    var engine = p.engine || null;
+    var oneShot = !engine && !!zone.oneShot;
+    // Engines play the note themselves: the rate only carries the semitone offset and pitch bend
+    var originalPitchSemitones = engine ? p.midi : zone.originalPitchCents / 100;
+    var playbackRate = Math.pow(2, (p.midi + p.semitones - originalPitchSemitones) / 12);
+    var loops = !engine && !oneShot && zone.loop !== false;
+    var loop = loops ? window.InstrumentSampleHandler.getZoneLoop(zone, buf) : null;
+    var softCutoff = 0;
+    if (p.soft) {
+      var noteFreq = 440 * Math.pow(2, (p.midi + p.semitones - 69) / 12);
+      softCutoff = Math.min(nyquist, Math.max(SOFT_PEDAL_MIN_CUTOFF, noteFreq * SOFT_PEDAL_CUTOFF_HARMONIC));
+    }
+    var filter = null;
+    if (p.filter) {
+      var cutoff = Math.max(FILTER_MIN_FREQ, Math.min(nyquist, p.filter.cutoff));
+      filter = {
+        type: p.filter.type,
+        resonance: p.filter.resonance,
+        cutoff: cutoff,
+        envPeak: p.filter.envAmount ? Math.max(FILTER_MIN_FREQ, Math.min(nyquist, cutoff * Math.pow(2, p.filter.envAmount))) : 0,
+        envAttack: p.filter.envAttack,
+        envDecay: p.filter.envDecay
+      };
+    }
+
+    var workletVoice = null;
+    if (!engine && voiceEngine === 'worklet' && ctx === audioCtx && outputs.length === 1 && window.GslWorkletEngine && window.GslWorkletEngine.isReady(ctx)) {
+      workletVoice = window.GslWorkletEngine.createVoice({
+        buffer: buf,
+        output: outputs[0],
+        time: p.time,
+        rate: playbackRate * (p.bendRatio || 1),
+        loop: loop,
+        softCutoff: softCutoff,
+        filter: filter,
+        pan: p.pan
+      });
+    }
+    var gain;
+    var src;
+    if (workletVoice) {
+      gain = workletVoice.gain;
+      src = workletVoice.bufferSource;
+      gain.gain.setValueAtTime(0, p.time);
+    } else {
+      gain = ctx.createGain();
+      gain.gain.setValueAtTime(0, p.time);
+      var voiceOut = gain;
+      if (filter) {
+        var layerFilter = ctx.createBiquadFilter();
+        layerFilter.type = filter.type;
+        layerFilter.Q.value = filter.resonance;
+        layerFilter.frequency.setValueAtTime(filter.cutoff, p.time);
+        if (filter.envPeak) {
+          layerFilter.frequency.exponentialRampToValueAtTime(filter.envPeak, p.time + filter.envAttack);
+          layerFilter.frequency.exponentialRampToValueAtTime(filter.cutoff, p.time + filter.envAttack + filter.envDecay);
+        }
+        gain.connect(layerFilter);
+        voiceOut = layerFilter;
+      }
+      if (p.pan) {
+        var panner = ctx.createStereoPanner();
+        panner.pan.setValueAtTime(p.pan, p.time);
+        voiceOut.connect(panner);
+        voiceOut = panner;
+      }
+      for (var o = 0; o < outputs.length; o++) voiceOut.connect(outputs[o]);
+
+      var sourceOut = gain;
+      if (softCutoff) {
+        var softFilter = ctx.createBiquadFilter();
+        softFilter.type = 'lowpass';
+        softFilter.Q.value = 0.5;
+        softFilter.frequency.value = softCutoff;
+        softFilter.connect(gain);
+        sourceOut = softFilter;
+      }
+      if (engine) {
+        src = engine.startSource(ctx, sourceOut, {
+          midi: p.midi,
+          velocity: p.velocity != null ? p.velocity : 100,
+          time: p.time,
+          rate: playbackRate * (p.bendRatio || 1),
+          pedalDepth: p.pedalDepth || 0
+        });
+      } else {
+        src = ctx.createBufferSource();
+        src.buffer = buf;
+        src.playbackRate.setValueAtTime(playbackRate * (p.bendRatio || 1), p.time);
+        src.loop = loops;
+        if (loops) {
+          src.loopStart = loop.start;
+          src.loopEnd = loop.end;
+        }
+        src.connect(sourceOut);
+        src.start(p.time);
+      }
+    }
+
+    var decayStart = p.time + p.attack + p.decay;
+    gain.gain.linearRampToValueAtTime(p.peak, p.time + p.attack);
+    gain.gain.linearRampToValueAtTime(p.sustainLevel, decayStart);
+    var voiceDecay = { naturalDecay: (!oneShot && p.naturalDecay) || null, pitch: p.midi + p.semitones };
+    var decayTau = getNaturalDecayTimeConstant(voiceDecay, p.pedalDepth);
+    if (decayTau != null) gain.gain.setTargetAtTime(0.0001, decayStart, decayTau);
+
+    return {
+      gain: gain,
+      bufferSource: src,
+      sustain: p.sustainLevel,
+      release: p.release,
+      baseRate: playbackRate,
+      naturalDecay: decayTau != null ? voiceDecay.naturalDecay : null,
+      pitch: voiceDecay.pitch,
+      decayStart: decayStart,
+      decayTau: decayTau,
+      oneShot: oneShot,
+      startTime: p.time,
+      endTime: engine ? Infinity : p.time + buf.duration / (playbackRate * (p.bendRatio || 1))
+    };
+  }
+
+  /**
+   * Loaded zones to play on one layer: [{ zone, buffer, gain }] (two entries while velocity layers crossfade).
+   * trigger 'release' returns the zones to play when the key is released.
+   * Call once per triggered note: each call steps the zones' round robin.
+   */
+  function getLayerZones(handler, presetName, midi, velocity, bufferCtx, trigger) {
+    var entries = handler.getZonesForMidi ? handler.getZonesForMidi(presetName, midi, velocity, trigger, true)
+      : (trigger === 'release' ? [] : [{ zone: handler.getZoneForMidi(presetName, midi), gain: 1 }]);
+    var out = [];
+    for (var e = 0; e < entries.length; e++) {
+      var buf = handler.getZoneBuffer(entries[e].zone, bufferCtx);
+      if (entries[e].zone && buf && entries[e].gain > 0) out.push({ zone: entries[e].zone, buffer: buf, gain: entries[e].gain });
+    }
+    return out;
+  }
+
+  /**
+   * Start one voice per layer for the note. `layers` (optional array of slot indices,
+   * from MIDI routing) limits which layers sound; omit it to play every layer.
+   * `velocity` (MIDI 0–127) selects velocity-layered zones; defaults from amplitude.
+   * A layer also stays silent outside its key range and velocity window.
+   */
+  function triggerAttack(noteName, when, amplitude, layers, velocity) {
     var slots = getCurrentPresetSlots();
     if (!slots.length || !window.InstrumentSampleHandler) return;
 
@@ -286,17 +706,22 @@
 
     var handler = window.InstrumentSampleHandler;
     var velocityNorm = Math.max(0.02, Math.min(1, amplitude || 0.8));
+    var midiVelocity = velocity != null ? velocity : Math.round(velocityNorm * 127);
     var t0 = when != null ? when : ctx.currentTime;
     var group = [];
 
     for (var i = 0; i < slots.length; i++) {
+      if (layers && layers.indexOf(i) === -1) continue;
+      if (!slotCoversKey(i, midi)) continue;
+      var velocityGain = getSlotVelocityGain(i, midiVelocity);
+      if (velocityGain <= 0) continue;
       var presetName = slots[i];
-      var preset = handler.getPreset(presetName);
-      if (!preset || !preset.zones) continue;
+      var preset = getLayerPreset(handler, presetName);
+      if (!preset) continue;
 
-      var zone = handler.getZoneForMidi(presetName, midi);
-      var buf = handler.getZoneBuffer(zone, ctx);
-      if (!zone || !buf) continue;
+      var layerMidi = getLayerMidi(i, midi);
+      var zones = getLayerSources(handler, presetName, layerMidi, midiVelocity, ctx);
+      if (!zones.length) continue;
 
       var playStyle = getLayerPlayStyle(i);
       var delayState = delayStateBySlot[i] || (delayStateBySlot[i] = { counter: 0 });
@@ -325,47 +750,218 @@
           slotVol = 0.33 + 0.67 * frac;
         }
       }
-      var attack = (preset.attack != null) ? preset.attack : SAMPLE_ENVELOPE.attack;
-      var decay = (preset.decay != null) ? preset.decay : SAMPLE_ENVELOPE.decay;
-      var sustain = (preset.sustain != null) ? preset.sustain : SAMPLE_ENVELOPE.sustain;
-      var release = (preset.release != null) ? preset.release : SAMPLE_ENVELOPE.release;
-
-      var gain = ctx.createGain();
-      gain.gain.setValueAtTime(0, ctx.currentTime);
-      var slotGain = slotGains[i];
-      if (slotGain) {
-        gain.connect(slotGain);
-      } else {
-        gain.connect(dryGain);
-        gain.connect(reverbSend);
+      var softGain = softPedalOn ? SOFT_PEDAL_GAIN : 1;
+      for (var c = 0; c < zones.length; c++) {
+        if (zones[c].zone.chokeGroup != null) chokeVoices(i, zones[c].zone.chokeGroup, t0Layer);
+      }
+      for (var z = 0; z < zones.length; z++) {
+        var env = getZoneEnvelope(preset, zones[z].zone, getSlotEnvelope(i));
+        var level = velocityNorm * velocityGain * slotVol * softGain * zones[z].gain;
+        var voice = startSampleVoice(ctx, slotGains[i] || [dryGain, reverbSend], {
+          zone: zones[z].zone,
+          buffer: zones[z].buffer,
+          midi: layerMidi,
+          semitones: getSlotSemitone(i),
+          time: t0Layer,
+          peak: level,
+          sustainLevel: level * env.sustain,
+          attack: env.attack,
+          decay: env.decay,
+          release: env.release,
+          bendRatio: getPitchBendRatio(),
+          soft: softPedalOn,
+          naturalDecay: preset.naturalDecay,
+          pedalDepth: sustainPedalDepth,
+          filter: getVoiceFilter(getSlotFilter(i), layerMidi + getSlotSemitone(i), midiVelocity),
+          pan: getVoicePan(i, midi),
+          engine: getLayerEngine(presetName),
+          velocity: midiVelocity
+        });
+        voice.slot = i;
+        voice.chokedBy = getZoneChokedBy(zones[z].zone);
+        group.push(voice);
+      }
+      var releaseZones = getLayerSources(handler, presetName, layerMidi, midiVelocity, ctx, 'release');
+      for (var r = 0; r < releaseZones.length; r++) {
+        if (!group.releaseZones) group.releaseZones = [];
+        group.releaseZones.push({
+          zone: releaseZones[r].zone,
+          buffer: releaseZones[r].buffer,
+          output: slotGains[i] || [dryGain, reverbSend],
+          midi: layerMidi,
+          semitones: getSlotSemitone(i),
+          level: velocityNorm * velocityGain * slotVol * releaseZones[r].gain,
+          env: getZoneEnvelope(preset, releaseZones[r].zone, getSlotEnvelope(i)),
+          filter: getVoiceFilter(getSlotFilter(i), layerMidi + getSlotSemitone(i), midiVelocity),
+          pan: getVoicePan(i, midi)
+        });
       }
-
-      var peak = velocityNorm * slotVol;
-      var sustainLevel = velocityNorm * sustain * slotVol;
-      gain.gain.linearRampToValueAtTime(peak, t0Layer + attack);
-      gain.gain.linearRampToValueAtTime(sustainLevel, t0Layer + attack + decay);
-
-      var semitoneOffset = getSlotSemitone(i);
-      var originalPitchSemitones = zone.originalPitchCents / 100;
-      var playbackRate = Math.pow(2, (midi + semitoneOffset - originalPitchSemitones) / 12);
-      var loopStart = zone.loopStart != null ? zone.loopStart : 0.1;
-      var loopEnd = zone.loopEnd != null ? zone.loopEnd : Math.max(0.11, buf.duration - 0.1);
-
-      var src = ctx.createBufferSource();
-      src.buffer = buf;
-      src.playbackRate.setValueAtTime(playbackRate, t0Layer);
-      src.loop = true;
-      src.loopStart = loopStart;
-      src.loopEnd = loopEnd;
-      src.connect(gain);
-      src.start(t0Layer);
-
-      group.push({ gain: gain, bufferSource: src, sustain: sustainLevel, release: release });
     }
 
     if (group.length === 0) return;
+    group.keyDown = true;
+    group.midi = midi;
+    group.startTime = t0;
     if (!activeVoices[noteName]) activeVoices[noteName] = [];
     activeVoices[noteName].push(group);
+    enforceVoiceLimit(group);
+  }
+
+  // ========== Choke groups ==========
+
+  /** Group whose notes cut this zone: chokedBy, or its own chokeGroup (exclusive class); null = never cut. */
+  function getZoneChokedBy(zone) {
+    var chokedBy = zone.chokedBy !== undefined ? zone.chokedBy : zone.chokeGroup;
+    return chokedBy != null ? String(chokedBy) : null;
+  }
+
+  /** Cut the sounding voices on a layer that are choked by `chokeGroup` (held, sustained or one-shot tails). */
+  function chokeVoices(slotIndex, chokeGroup, t) {
+    var key = String(chokeGroup);
+    function isChoked(voice) {
+      return voice.slot === slotIndex && voice.chokedBy === key;
+    }
+    Object.keys(activeVoices).forEach(function (noteName) {
+      var list = activeVoices[noteName];
+      for (var g = list.length - 1; g >= 0; g--) {
+        var group = list[g];
+        for (var v = group.length - 1; v >= 0; v--) {
+          if (!isChoked(group[v])) continue;
+          fadeOutVoice(group[v], t, CHOKE_FADE_TIME);
+          group.splice(v, 1);
+        }
+        if (group.length === 0) list.splice(g, 1);
+      }
+      if (list.length === 0) delete activeVoices[noteName];
+    });
+    releasingVoices = releasingVoices.filter(function (r) {
+      if (!isChoked(r.voice)) return true;
+      fadeOutVoice(r.voice, t, CHOKE_FADE_TIME);
+      return false;
+    });
+  }
+
+  // ========== Polyphony ==========
+
+  function pruneReleasingVoices(now) {
+    releasingVoices = releasingVoices.filter(function (r) { return r.endTime > now; });
+  }
+
+  /** Keep a released voice counted until its fade-out ends. */
+  function trackReleasingVoice(voice, midi, releasedAt, endTime) {
+    releasingVoices.push({ voice: voice, midi: midi, releasedAt: releasedAt, endTime: endTime });
+  }
+
+  /** Sounding buffer sources: held or pedal-sustained voices plus released voices still fading out. */
+  function getVoiceCount() {
+    if (audioCtx) pruneReleasingVoices(audioCtx.currentTime);
+    var count = releasingVoices.length;
+    Object.keys(activeVoices).forEach(function (noteName) {
+      activeVoices[noteName].forEach(function (group) { count += group.length; });
+    });
+    return count;
+  }
+
+  function fadeOutVoice(voice, t, fadeTime) {
+    var fade = fadeTime || STEAL_FADE_TIME;
+    var param = voice.gain.gain;
+    param.cancelScheduledValues(t);
+    param.setValueAtTime(param.value, t);
+    param.linearRampToValueAtTime(0, t + fade);
+    try {
+      voice.bufferSource.stop(t + fade + 0.005);
+    } catch (e) {}
+  }
+
+  function getGroupLevel(group) {
+    var level = 0;
+    for (var i = 0; i < group.length; i++) level += group[i].gain.gain.value;
+    return level;
+  }
+
+  /**
+   * Steal voices until the count fits maxVoices: released voices first (oldest release first,
+   * fading tails before pedal-sustained notes), then the quietest held notes.
+   * The note just started and the newest note on the lowest sounding key are never stolen.
+   */
+  function enforceVoiceLimit(newGroup) {
+    if (!maxVoices || !audioCtx) return;
+    var excess = getVoiceCount() - maxVoices;
+    if (excess <= 0) return;
+    var t = audioCtx.currentTime;
+
+    var groups = [];
+    var bass = null;
+    Object.keys(activeVoices).forEach(function (noteName) {
+      activeVoices[noteName].forEach(function (group) {
+        if (group === newGroup) return;
+        groups.push({ noteName: noteName, group: group });
+        if (!bass || group.midi < bass.midi || (group.midi === bass.midi && group.startTime > bass.startTime)) bass = group;
+      });
+    });
+    if (newGroup.midi < (bass ? bass.midi : Infinity)) bass = null; // the new note is the bass note
+
+    var released = releasingVoices.slice().sort(function (a, b) { return a.releasedAt - b.releasedAt; });
+    for (var r = 0; r < released.length && excess > 0; r++) {
+      fadeOutVoice(released[r].voice, t);
+      releasingVoices.splice(releasingVoices.indexOf(released[r]), 1);
+      excess -= 1;
+    }
+
+    var candidates = groups.filter(function (g) { return g.group !== bass; });
+    candidates.forEach(function (g) { g.level = getGroupLevel(g.group); });
+    candidates.sort(function (a, b) {
+      var aHeld = a.group.keyDown ? 1 : 0;
+      var bHeld = b.group.keyDown ? 1 : 0;
+      if (aHeld !== bHeld) return aHeld - bHeld;
+      if (!aHeld) return (a.group.releasedAt || 0) - (b.group.releasedAt || 0);
+      return a.level - b.level;
+    });
+    for (var c = 0; c < candidates.length && excess > 0; c++) {
+      var entry = candidates[c];
+      for (var i = 0; i < entry.group.length; i++) fadeOutVoice(entry.group[i], t);
+      var list = activeVoices[entry.noteName];
+      list.splice(list.indexOf(entry.group), 1);
+      if (list.length === 0) delete activeVoices[entry.noteName];
+      excess -= entry.group.length;
+    }
+  }
+
+  /** Polyphony limit in voices (each layer of a note is one voice); 0 or less = unlimited. */
+  function setMaxVoices(count) {
+    var n = parseInt(count, 10);
+    maxVoices = isNaN(n) || n <= 0 ? 0 : n;
+    enforceVoiceLimit([]);
+  }
+
+  function getMaxVoices() {
+    return maxVoices;
+  }
+
+  /**
+   * Start a release-triggered sample (SFZ trigger=release): one pass through the sample from `time`.
+   * `track` counts it against the live polyphony limit.
+   */
+  function startReleaseSample(ctx, output, r, time, bendRatio, track) {
+    var voice = startSampleVoice(ctx, output, {
+      zone: r.zone,
+      buffer: r.buffer,
+      midi: r.midi,
+      semitones: r.semitones,
+      time: time,
+      peak: r.level,
+      sustainLevel: r.level * r.env.sustain,
+      attack: r.env.attack,
+      decay: r.env.decay,
+      release: r.env.release,
+      bendRatio: bendRatio,
+      soft: false,
+      filter: r.filter,
+      pan: r.pan
+    });
+    var endTime = scheduleVoiceRelease(voice, time, time + r.buffer.duration / voice.baseRate, r.env, r.level);
+    if (track) trackReleasingVoice(voice, r.midi, time, endTime);
+    return endTime;
   }
 
   function releaseOneVoice(noteName) {
@@ -375,17 +971,27 @@
     var ctx = audioCtx;
     if (!ctx) return;
     var t = ctx.currentTime;
+    (group.releaseZones || []).forEach(function (r) {
+      startReleaseSample(ctx, r.output, r, t, getPitchBendRatio(), true);
+    });
     for (var i = 0; i < group.length; i++) {
       var voice = group[i];
+      if (voice.oneShot) {
+        trackReleasingVoice(voice, group.midi, t, voice.endTime);
+        continue;
+      }
+      var fromLevel = (group.damped || voice.decayTau != null) ? voice.gain.gain.value : voice.sustain;
       voice.gain.gain.cancelScheduledValues(t);
-      voice.gain.gain.setValueAtTime(voice.sustain, t);
+      voice.gain.gain.setValueAtTime(fromLevel, t);
       voice.gain.gain.linearRampToValueAtTime(0.0001, t + (voice.release || SAMPLE_ENVELOPE.release));
       var stopTime = t + (voice.release || SAMPLE_ENVELOPE.release) + 0.05;
       try {
         voice.bufferSource.stop(stopTime);
       } catch (e) {}
+      trackReleasingVoice(voice, group.midi, t, stopTime);
     }
     if (list.length === 0) delete activeVoices[noteName];
+    enforceVoiceLimit([]);
   }
 
   function triggerRelease(noteName) {
@@ -403,34 +1009,168 @@
         var t = ctx.currentTime;
         for (var i = 0; i < group.length; i++) {
           var voice = group[i];
+          if (voice.oneShot) {
+            trackReleasingVoice(voice, group.midi, t, voice.endTime);
+            continue;
+          }
+          var fromLevel = (group.damped || voice.decayTau != null) ? voice.gain.gain.value : voice.sustain;
           voice.gain.gain.cancelScheduledValues(t);
-          voice.gain.gain.setValueAtTime(voice.sustain, t);
+          voice.gain.gain.setValueAtTime(fromLevel, t);
           voice.gain.gain.linearRampToValueAtTime(0.0001, t + (voice.release || releaseTime));
           try {
             voice.bufferSource.stop(t + (voice.release || releaseTime) + 0.05);
           } catch (e) {}
+          trackReleasingVoice(voice, group.midi, t, t + (voice.release || releaseTime) + 0.05);
         }
       }
     }
     delete activeVoices[noteName];
   }
 
+  function getPitchBendRatio() {
+    return Math.pow(2, pitchBendSemitones / 12);
+  }
+
+  /**
+   * Bend every sounding voice (all layers, released tails included) by the given amount in semitones.
+   * Each voice keeps its own base rate, so per-layer semitone offsets are preserved. A voice that has not
+   * started yet (human/drunk delay) bends from its start, after the rate it was scheduled with.
+   */
+  function setPitchBend(semitones) {
+    var s = Number(semitones);
+    pitchBendSemitones = isNaN(s) ? 0 : Math.max(-48, Math.min(48, s));
+    if (!audioCtx) return;
+    var ratio = getPitchBendRatio();
+    var now = audioCtx.currentTime;
+    function bend(voice) {
+      if (!voice.bufferSource || voice.baseRate == null) return;
+      var from = Math.max(now, voice.startTime || 0);
+      voice.bufferSource.playbackRate.setTargetAtTime(voice.baseRate * ratio, from, PITCH_BEND_SMOOTHING);
+    }
+    Object.keys(activeVoices).forEach(function (noteName) {
+      activeVoices[noteName].forEach(function (group) {
+        group.forEach(bend);
+      });
+    });
+    pruneReleasingVoices(now);
+    releasingVoices.forEach(function (r) { bend(r.voice); });
+  }
+
+  function getPitchBend() {
+    return pitchBendSemitones;
+  }
+
   function setNoteEnvelope() {}
-  function updateNoteKeyState() {}
-  function setSustainPedal() {}
+  /**
+   * Damping time constant for a released key at a pedal depth (live playback passes the current depth).
+   * Depth 0 is the normal release; it grows exponentially up to HALF_PEDAL_MAX_DAMP_TIME,
+   * and a fully lifted pedal (depth 1) does not damp at all (returns null).
+   */
+  function getPedalDampTime(release, depth) {
+    if (depth >= 1) return null;
+    var base = (release || SAMPLE_ENVELOPE.release) / 3; // setTargetAtTime reaches ~95% after 3 time constants
+    return base * Math.pow(HALF_PEDAL_MAX_DAMP_TIME / base, depth);
+  }
+
+  /**
+   * Re-aim the natural decay of a group at the current pedal depth (voices past their attack/decay only).
+   * Held keys and key-up voices under a fully lifted pedal decay this way.
+   */
+  function applyNaturalDecay(group) {
+    if (!audioCtx) return;
+    var t = audioCtx.currentTime;
+    for (var i = 0; i < group.length; i++) {
+      var voice = group[i];
+      if (voice.decayTau == null || t < voice.decayStart) continue;
+      var tau = getNaturalDecayTimeConstant(voice, sustainPedalDepth);
+      var level = voice.gain.gain.value;
+      voice.gain.gain.cancelScheduledValues(t);
+      voice.gain.gain.setValueAtTime(level, t);
+      if (tau != null) voice.gain.gain.setTargetAtTime(0.0001, t, tau);
+    }
+  }
+
+  /** Re-apply pedal damping to a key-up voice group (called on key up and whenever pedal depth changes). */
+  function applyPedalDamping(group) {
+    if (!audioCtx || group.keyDown) return;
+    // Full pedal on a voice that was never damped: leave its envelope alone (apart from natural decay)
+    if (sustainPedalDepth >= 1 && !group.damped) {
+      applyNaturalDecay(group);
+      return;
+    }
+    var t = audioCtx.currentTime;
+    for (var i = 0; i < group.length; i++) {
+      var voice = group[i];
+      if (voice.oneShot) continue;
+      var level = voice.gain.gain.value;
+      var dampTime = getPedalDampTime(voice.release, sustainPedalDepth);
+      if (dampTime == null && voice.decayTau != null) dampTime = getNaturalDecayTimeConstant(voice, sustainPedalDepth);
+      voice.gain.gain.cancelScheduledValues(t);
+      voice.gain.gain.setValueAtTime(level, t);
+      if (dampTime != null) voice.gain.gain.setTargetAtTime(0.0001, t, dampTime);
+    }
+    group.damped = true;
+  }
+
+  /** Mark a note's voices as key down/up; key-up voices held by the pedal are damped by pedal depth. */
+  function updateNoteKeyState(noteName, keyDown) {
+    var list = activeVoices[noteName];
+    if (!list) return;
+    list.forEach(function (group) {
+      if (group.keyDown && !keyDown) group.releasedAt = audioCtx ? audioCtx.currentTime : 0;
+      group.keyDown = !!keyDown;
+      applyPedalDamping(group);
+    });
+  }
+
+  /**
+   * Sustain pedal depth: true/false or a continuous 0–1 value (half-pedaling).
+   * Released-key voices decay faster the shallower the pedal is.
+   */
+  function setSustainPedal(depth) {
+    var d = (depth === true) ? 1 : (depth === false || depth == null) ? 0 : Number(depth);
+    d = isNaN(d) ? 0 : Math.max(0, Math.min(1, d));
+    if (d === sustainPedalDepth) return;
+    sustainPedalDepth = d;
+    Object.keys(activeVoices).forEach(function (noteName) {
+      activeVoices[noteName].forEach(function (group) {
+        if (group.keyDown) applyNaturalDecay(group);
+        else applyPedalDamping(group);
+      });
+    });
+  }
+
+  function getSustainPedal() {
+    return sustainPedalDepth;
+  }
+
+  /** Soft pedal (una corda): notes started while it is down are quieter and darker. */
+  function setSoftPedal(active) {
+    softPedalOn = !!active;
+  }
+
+  function getSoftPedal() {
+    return softPedalOn;
+  }
 
   function setReverb(value) {
     var v = Math.max(0, Math.min(1, value));
     var amount = v * 0.6;
+    reverbAmount = amount;
     if (!audioCtx) ensureContext();
     if (reverbSend) reverbSend.gain.setTargetAtTime(amount, audioCtx.currentTime, 0.01);
     if (reverbWet) reverbWet.gain.setTargetAtTime(amount, audioCtx.currentTime, 0.01);
   }
 
-  function setStereoWidth(midEq) {
+  function getStereoWidthMidAmount(midEq) {
     var clamped = Math.max(-100, Math.min(0, midEq));
     var db = -36 + ((clamped + 100) / 100) * 24;
-    var midAmount = Math.pow(10, db / 20);
+    return Math.pow(10, db / 20);
+  }
+
+  function setStereoWidth(midEq) {
+    stereoWidth = Math.max(-100, Math.min(0, midEq));
+    var midAmount = getStereoWidthMidAmount(stereoWidth);
     if (!audioCtx) ensureContext();
     if (midGain) midGain.gain.setTargetAtTime(midAmount, audioCtx.currentTime, 0.03);
     if (sideGain) sideGain.gain.setTargetAtTime(1, audioCtx.currentTime, 0.03);
@@ -447,6 +1187,187 @@
     return lastMasterVolumePercent;
   }
 
+  /** Level of a pre-scheduled voice's envelope (attack, decay, natural decay) at `time`. */
+  function getScheduledLevel(voice, start, time, env, peak) {
+    var attackEnd = start + env.attack;
+    var decayEnd = attackEnd + env.decay;
+    if (time < attackEnd) return peak * (time - start) / Math.max(env.attack, 0.0001);
+    if (time < decayEnd) return peak + (voice.sustain - peak) * (time - attackEnd) / Math.max(env.decay, 0.0001);
+    if (voice.decayTau != null) return Math.max(0.0001, voice.sustain * Math.exp(-(time - decayEnd) / voice.decayTau));
+    return voice.sustain;
+  }
+
+  /** Schedule the key release of a pre-scheduled voice: continue its envelope to `end`, then ramp out. */
+  function scheduleVoiceRelease(voice, start, end, env, peak) {
+    var param = voice.gain.gain;
+    var level = getScheduledLevel(voice, start, end, env, peak);
+    var decaying = voice.decayTau != null && end > start + env.attack + env.decay;
+    param.cancelScheduledValues(end);
+    // Natural decay runs as setTargetAtTime until the release; pick up its level there
+    if (decaying) param.setValueAtTime(level, end);
+    else param.linearRampToValueAtTime(level, end);
+    param.linearRampToValueAtTime(0.0001, end + env.release);
+    voice.bufferSource.stop(end + env.release + 0.05);
+    return end + env.release + 0.05;
+  }
+
+  /**
+   * Schedule a rendered note whose key went up under the sustain pedal: from each damping step ({ time, depth })
+   * the voice is damped as applyPedalDamping does live at that depth, then released at note.end.
+   * Returns the voice's stop time.
+   */
+  function scheduleVoiceDamping(voice, note, env, peak) {
+    var end = Math.max(note.start, note.end);
+    var steps = (note.damping || []).filter(function (step) { return step.time >= note.start && step.time < end; });
+    // Full pedal on a voice that was never damped leaves its envelope alone
+    while (steps.length && steps[0].depth >= 1) steps.shift();
+    if (!steps.length) return scheduleVoiceRelease(voice, note.start, end, env, peak);
+    var param = voice.gain.gain;
+    var level = getScheduledLevel(voice, note.start, steps[0].time, env, peak);
+    param.cancelScheduledValues(steps[0].time);
+    for (var i = 0; i < steps.length; i++) {
+      var t = steps[i].time;
+      var next = i + 1 < steps.length ? steps[i + 1].time : end;
+      var dampTime = getPedalDampTime(voice.release, steps[i].depth);
+      if (dampTime == null && voice.decayTau != null) dampTime = getNaturalDecayTimeConstant(voice, steps[i].depth);
+      param.setValueAtTime(level, t);
+      if (dampTime == null) continue;
+      param.setTargetAtTime(0.0001, t, dampTime);
+      level = 0.0001 + (level - 0.0001) * Math.exp(-(next - t) / dampTime);
+    }
+    param.setValueAtTime(level, end);
+    param.linearRampToValueAtTime(0.0001, end + env.release);
+    voice.bufferSource.stop(end + env.release + 0.05);
+    return end + env.release + 0.05;
+  }
+
+  /**
+   * Render notes offline through the live mix: same layers (engine layers included), slot volumes and semitones, mutes,
+   * reverb, stereo width and master volume. Samples must already be loaded on the live context
+   * (decoded buffers are shared). Layer play styles, flicker and every-bar patterns are not applied.
+   * Natural decay is stretched by each note's pedalDepth (sustain pedal depth at note-on), as live.
+   * Key-up notes held by a half-lifted pedal are damped continuously from their damping steps, as live.
+   * notes: [{ midi, start, end, amplitude, velocity, layers, soft, pedalDepth, damping: [{ time, depth }] }]
+   * in seconds (end = key/damper release)
+   * options: { duration, sampleRate, pitchBends: [{ time, semitones }] }
+   * Resolves with the rendered stereo AudioBuffer (duration plus release and reverb tail).
+   */
+  function renderOffline(notes, options) {
+    options = options || {};
+    var OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) return Promise.reject(new Error('OfflineAudioContext is not supported'));
+    var liveCtx = ensureContext();
+    var handler = window.InstrumentSampleHandler;
+    var slots = getCurrentPresetSlots();
+    var muted = (window.gslSlotMuted && Array.isArray(window.gslSlotMuted)) ? window.gslSlotMuted : [];
+
+    var maxRelease = SAMPLE_ENVELOPE.release;
+    slots.forEach(function (presetName, slotIndex) {
+      var preset = getLayerPreset(handler, presetName);
+      if (!preset) return;
+      var override = getSlotEnvelope(slotIndex);
+      maxRelease = Math.max(maxRelease, getZoneEnvelope(preset, null, override).release);
+      (preset.zones || []).forEach(function (zone) {
+        maxRelease = Math.max(maxRelease, getZoneEnvelope(preset, zone, override).release);
+        // One-shots ring past note-off for the rest of their sample
+        var buf = zone.oneShot ? handler.getZoneBuffer(zone, liveCtx) : null;
+        if (buf) maxRelease = Math.max(maxRelease, buf.duration);
+      });
+    });
+    var sampleRate = options.sampleRate || liveCtx.sampleRate;
+    var duration = Math.max(0, options.duration || 0) + maxRelease + REVERB_SECONDS + 0.25;
+    var ctx = new OfflineCtx(2, Math.ceil(duration * sampleRate), sampleRate);
+    var graph = buildOutputGraph(ctx);
+
+    var bends = (options.pitchBends || []).slice().sort(function (a, b) { return a.time - b.time; });
+    function bendRatioAt(time) {
+      var semitones = 0;
+      for (var b = 0; b < bends.length && bends[b].time <= time; b++) semitones = bends[b].semitones;
+      return Math.pow(2, semitones / 12);
+    }
+
+    var chokeable = []; // scheduled voices that a choke group can cut: [{ voice, slot, chokedBy, stopTime }]
+    function chokeScheduled(slotIndex, chokeGroup, time) {
+      var key = String(chokeGroup);
+      chokeable = chokeable.filter(function (c) {
+        if (c.slot !== slotIndex || c.chokedBy !== key || c.stopTime <= time) return c.stopTime > time;
+        c.voice.gain.gain.cancelScheduledValues(time);
+        c.voice.gain.gain.setTargetAtTime(0, time, CHOKE_FADE_TIME / 3);
+        c.voice.bufferSource.stop(time + CHOKE_FADE_TIME + 0.005);
+        return false;
+      });
+    }
+
+    (notes || []).slice().sort(function (a, b) { return a.start - b.start; }).forEach(function (note) {
+      if (!handler) return;
+      var velocityNorm = Math.max(0.02, Math.min(1, note.amplitude || 0.8));
+      for (var i = 0; i < slots.length; i++) {
+        if (note.layers && note.layers.indexOf(i) === -1) continue;
+        if (muted[i] || !slotCoversKey(i, note.midi)) continue;
+        var preset = getLayerPreset(handler, slots[i]);
+        if (!preset) continue;
+        var velocity = note.velocity != null ? note.velocity : Math.round(velocityNorm * 127);
+        var velocityGain = getSlotVelocityGain(i, velocity);
+        if (velocityGain <= 0) continue;
+        var layerMidi = getLayerMidi(i, note.midi);
+        var zones = getLayerSources(handler, slots[i], layerMidi, velocity, liveCtx);
+        var slotVol = getSlotVolume(i);
+        var softGain = note.soft ? SOFT_PEDAL_GAIN : 1;
+        for (var c = 0; c < zones.length; c++) {
+          if (zones[c].zone.chokeGroup != null) chokeScheduled(i, zones[c].zone.chokeGroup, note.start);
+        }
+        for (var z = 0; z < zones.length; z++) {
+          var env = getZoneEnvelope(preset, zones[z].zone, getSlotEnvelope(i));
+          var peak = velocityNorm * velocityGain * slotVol * softGain * zones[z].gain;
+          var voice = startSampleVoice(ctx, graph.slotGains[i] || [graph.dryGain, graph.reverbSend], {
+            zone: zones[z].zone,
+            buffer: zones[z].buffer,
+            midi: layerMidi,
+            semitones: getSlotSemitone(i),
+            time: note.start,
+            peak: peak,
+            sustainLevel: peak * env.sustain,
+            attack: env.attack,
+            decay: env.decay,
+            release: env.release,
+            bendRatio: bendRatioAt(note.start),
+            soft: !!note.soft,
+            naturalDecay: preset.naturalDecay,
+            filter: getVoiceFilter(getSlotFilter(i), layerMidi + getSlotSemitone(i), velocity),
+            pan: getVoicePan(i, note.midi),
+            pedalDepth: note.pedalDepth || 0,
+            engine: getLayerEngine(slots[i]),
+            velocity: velocity
+          });
+          var stopTime = voice.oneShot ? voice.endTime : scheduleVoiceDamping(voice, note, env, peak);
+          var chokedBy = getZoneChokedBy(zones[z].zone);
+          if (chokedBy != null) chokeable.push({ voice: voice, slot: i, chokedBy: chokedBy, stopTime: stopTime });
+          for (var b = 0; b < bends.length; b++) {
+            if (bends[b].time <= note.start) continue;
+            if (bends[b].time >= stopTime) break;
+            voice.bufferSource.playbackRate.setTargetAtTime(voice.baseRate * Math.pow(2, bends[b].semitones / 12), bends[b].time, PITCH_BEND_SMOOTHING);
+          }
+        }
+        var releaseZones = getLayerSources(handler, slots[i], layerMidi, velocity, liveCtx, 'release');
+        for (var r = 0; r < releaseZones.length; r++) {
+          var releaseEnd = Math.max(note.start, note.end);
+          startReleaseSample(ctx, graph.slotGains[i] || [graph.dryGain, graph.reverbSend], {
+            zone: releaseZones[r].zone,
+            buffer: releaseZones[r].buffer,
+            midi: layerMidi,
+            semitones: getSlotSemitone(i),
+            level: velocityNorm * velocityGain * slotVol * releaseZones[r].gain,
+            env: getZoneEnvelope(preset, releaseZones[r].zone, getSlotEnvelope(i)),
+            filter: getVoiceFilter(getSlotFilter(i), layerMidi + getSlotSemitone(i), velocity),
+            pan: getVoicePan(i, note.midi)
+          }, releaseEnd, bendRatioAt(releaseEnd));
+        }
+      }
+    });
+
+    return ctx.startRendering();
+  }
+
   var synth = {
     triggerAttack: triggerAttack,
     triggerRelease: triggerRelease,
@@ -456,11 +1377,26 @@
     setStereoWidth: setStereoWidth,
     setMasterVolume: setMasterVolume,
     getMasterVolume: getMasterVolume,
+    setPitchBend: setPitchBend,
+    getPitchBend: getPitchBend,
+    setSoftPedal: setSoftPedal,
+    getSoftPedal: getSoftPedal,
+    renderOffline: renderOffline,
+    setMaxVoices: setMaxVoices,
+    getMaxVoices: getMaxVoices,
+    getVoiceCount: getVoiceCount,
+    setVoiceEngine: setVoiceEngine,
+    getVoiceEngine: getVoiceEngine,
+    registerLayerEngine: registerLayerEngine,
+    getLayerEngine: getLayerEngine,
+    getLayerEngines: getLayerEngines,
     synth: {
       audioCtx: null,
       masterGain: null,
+      outputNode: null,
       updateNoteKeyState: updateNoteKeyState,
-      setSustainPedal: setSustainPedal
+      setSustainPedal: setSustainPedal,
+      getSustainPedal: getSustainPedal
     }
   };
 
@@ -472,6 +1408,10 @@
     get: function () { return masterGain; },
     configurable: true
   });
+  Object.defineProperty(synth.synth, 'outputNode', {
+    get: function () { return outputGain; },
+    configurable: true
+  });
 
   window.gslSynth = synth;
   window.synth = synth;
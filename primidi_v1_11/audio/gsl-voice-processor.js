@@ -0,0 +1,257 @@
+/**
+ * AudioWorklet processor for the GSL voice engine (see gsl-worklet-engine.js).
+ * Mixes every sample voice in one processor: sample-accurate gain automation (GslParamTimeline),
+ * cubic-interpolated pitch with loop points, per-voice soft-pedal lowpass, layer filter and pan.
+ * Output n carries layer n (stereo) into that layer's gain node of the synth graph.
+ * Loops are the decode-time crossfaded loops of InstrumentSampleHandler (same buffers as the node engine).
+ */
+(function () {
+  'use strict';
+
+  var ParamTimeline = globalThis.GslParamTimeline;
+  var MAX_VOICES = 512; // safety cap; gsl-synth steals voices well before this
+  var STEAL_FADE_TIME = 0.015; // seconds; same fade-out as gsl-synth's stolen voices
+
+  /** Biquad filter (Web Audio BiquadFilterNode formulas: lowpass/highpass Q in dB, bandpass Q linear) */
+  function Biquad(type, channels) {
+    this.type = type;
+    this.b0 = 1;
+    this.b1 = 0;
+    this.b2 = 0;
+    this.a1 = 0;
+    this.a2 = 0;
+    this.state = [];
+    for (var c = 0; c < channels; c++) this.state.push([0, 0, 0, 0]); // x1, x2, y1, y2
+  }
+
+  Biquad.prototype.setParams = function (frequency, q) {
+    var w0 = 2 * Math.PI * Math.max(10, Math.min(sampleRate / 2 - 100, frequency)) / sampleRate;
+    var cos = Math.cos(w0);
+    var sin = Math.sin(w0);
+    var alpha = this.type === 'bandpass' ? sin / (2 * Math.max(q, 0.0001)) : sin / (2 * Math.pow(10, q / 20));
+    var a0 = 1 + alpha;
+    var b0;
+    var b1;
+    var b2;
+    if (this.type === 'highpass') {
+      b0 = (1 + cos) / 2;
+      b1 = -(1 + cos);
+      b2 = (1 + cos) / 2;
+    } else if (this.type === 'bandpass') {
+      b0 = alpha;
+      b1 = 0;
+      b2 = -alpha;
+    } else {
+      b0 = (1 - cos) / 2;
+      b1 = 1 - cos;
+      b2 = (1 - cos) / 2;
+    }
+    this.b0 = b0 / a0;
+    this.b1 = b1 / a0;
+    this.b2 = b2 / a0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+  };
+
+  Biquad.prototype.process = function (channel, x) {
+    var s = this.state[channel];
+    var y = this.b0 * x + this.b1 * s[0] + this.b2 * s[1] - this.a1 * s[2] - this.a2 * s[3];
+    s[1] = s[0];
+    s[0] = x;
+    s[3] = s[2];
+    s[2] = y;
+    return y;
+  };
+
+  function frameAt(data, i, voice) {
+    if (voice.loop && i >= voice.loopEnd) i = voice.loopStart + (i - voice.loopEnd) % (voice.loopEnd - voice.loopStart);
+    return i >= 0 && i < data.length ? data[i] : 0;
+  }
+
+  /** 4-point cubic (Hermite) interpolation of one channel at a fractional frame (reads across the loop point) */
+  function readCubic(data, index, frac, voice) {
+    var xm1 = frameAt(data, index - 1, voice);
+    var x0 = frameAt(data, index, voice);
+    var x1 = frameAt(data, index + 1, voice);
+    var x2 = frameAt(data, index + 2, voice);
+    var c1 = 0.5 * (x1 - xm1);
+    var c2 = xm1 - 2.5 * x0 + 2 * x1 - 0.5 * x2;
+    var c3 = 0.5 * (x2 - xm1) + 1.5 * (x0 - x1);
+    return ((c3 * frac + c2) * frac + c1) * frac + x0;
+  }
+
+  class GslVoiceProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      this.buffers = {}; // id -> { channels, length, sampleRate }
+      this.voices = [];
+      this.voiceById = new Map();
+      this.outputCount = (options && options.numberOfOutputs) || 1;
+      this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(msg) {
+      if (msg.type === 'buffer') {
+        this.buffers[msg.id] = { channels: msg.channels, length: msg.channels[0].length, sampleRate: msg.sampleRate };
+      } else if (msg.type === 'free') {
+        delete this.buffers[msg.id]; // playing voices keep their own reference
+      } else if (msg.type === 'start') {
+        this.startVoice(msg);
+      } else if (msg.type === 'param') {
+        var voice = this.voiceById.get(msg.id);
+        if (voice) voice[msg.param][msg.method].apply(voice[msg.param], msg.args);
+      } else if (msg.type === 'stop') {
+        var stopped = this.voiceById.get(msg.id);
+        if (stopped) stopped.stopTime = Math.min(stopped.stopTime, msg.time);
+      }
+    }
+
+    startVoice(msg) {
+      var buffer = this.buffers[msg.bufferId];
+      if (!buffer) return;
+      this.enforceVoiceCap();
+      var channels = buffer.channels.length > 1 ? 2 : 1;
+      var voice = {
+        id: msg.id,
+        output: Math.max(0, Math.min(this.outputCount - 1, msg.output)),
+        buffer: buffer,
+        channels: channels,
+        position: 0,
+        step: buffer.sampleRate / sampleRate,
+        loop: !!msg.loop,
+        loopStart: msg.loop ? Math.max(0, Math.round(msg.loop.start * buffer.sampleRate)) : 0,
+        loopEnd: msg.loop ? Math.min(buffer.length, Math.round(msg.loop.end * buffer.sampleRate)) : buffer.length,
+        startTime: msg.time,
+        stopTime: Infinity,
+        stolen: false, // fading out at the voice cap
+        gain: new ParamTimeline(1),
+        playbackRate: new ParamTimeline(msg.rate),
+        frequency: null,
+        filter: null,
+        softFilter: null,
+        pan: msg.pan || 0
+      };
+      if (voice.loopEnd - voice.loopStart < 2) voice.loop = false;
+      if (msg.softCutoff) {
+        voice.softFilter = new Biquad('lowpass', channels);
+        voice.softFilter.setParams(msg.softCutoff, 0.5);
+      }
+      if (msg.filter) {
+        voice.filter = new Biquad(msg.filter.type, 2);
+        voice.filterQ = msg.filter.resonance;
+        voice.frequency = new ParamTimeline(msg.filter.cutoff);
+        voice.frequency.setValueAtTime(msg.filter.cutoff, msg.time);
+        if (msg.filter.envPeak) {
+          voice.frequency.exponentialRampToValueAtTime(msg.filter.envPeak, msg.time + msg.filter.envAttack);
+          voice.frequency.exponentialRampToValueAtTime(msg.filter.cutoff, msg.time + msg.filter.envAttack + msg.filter.envDecay);
+        }
+      }
+      this.voices.push(voice);
+      this.voiceById.set(voice.id, voice);
+    }
+
+    /** Fade out the oldest voices that are not already fading until a new one fits under MAX_VOICES */
+    enforceVoiceCap() {
+      var live = this.voices.filter(function (v) { return !v.stolen; });
+      for (var i = 0; live.length - i >= MAX_VOICES; i++) {
+        var voice = live[i];
+        var end = currentTime + STEAL_FADE_TIME;
+        voice.stolen = true;
+        voice.gain.cancelScheduledValues(currentTime);
+        voice.gain.setValueAtTime(voice.gain.valueAt(currentTime), currentTime);
+        voice.gain.linearRampToValueAtTime(0, end);
+        voice.stopTime = Math.min(voice.stopTime, end);
+      }
+    }
+
+    removeVoice(voice) {
+      var index = this.voices.indexOf(voice);
+      if (index !== -1) this.voices.splice(index, 1);
+      this.voiceById.delete(voice.id);
+    }
+
+    process(inputs, outputs) {
+      var frames = outputs[0][0].length;
+      var blockStart = currentTime;
+      var blockEnd = blockStart + frames / sampleRate;
+      for (var v = this.voices.length - 1; v >= 0; v--) {
+        var voice = this.voices[v];
+        if (voice.stopTime <= blockStart) {
+          this.removeVoice(voice);
+          continue;
+        }
+        if (voice.startTime >= blockEnd) continue;
+        if (this.renderVoice(voice, outputs[voice.output], frames, blockStart) === false) this.removeVoice(voice);
+      }
+      return true;
+    }
+
+    /** Add one voice into its layer output for this block; returns false once it has ended */
+    renderVoice(voice, out, frames, blockStart) {
+      var buffer = voice.buffer;
+      var left = out[0];
+      var right = out[1] || out[0];
+      // Pitch and filter frequency are k-rate (once per block); gain is per sample
+      voice.gain.compact(blockStart);
+      voice.playbackRate.compact(blockStart);
+      var step = voice.playbackRate.valueAt(blockStart) * voice.step;
+      if (voice.filter) {
+        voice.frequency.compact(blockStart);
+        voice.filter.setParams(voice.frequency.valueAt(blockStart), voice.filterQ);
+      }
+      var constantGain = voice.gain.isConstantAfter(blockStart) ? voice.gain.valueAt(blockStart) : null;
+      var panLeft = 1;
+      var panRight = 1;
+      var pan = voice.pan;
+      if (pan) {
+        var x = (voice.channels === 1 ? (pan + 1) / 2 : (pan <= 0 ? pan + 1 : pan)) * Math.PI / 2;
+        panLeft = Math.cos(x);
+        panRight = Math.sin(x);
+      }
+      var data0 = buffer.channels[0];
+      var data1 = voice.channels > 1 ? buffer.channels[1] : null;
+      for (var i = 0; i < frames; i++) {
+        var t = blockStart + i / sampleRate;
+        if (t < voice.startTime) continue;
+        if (t >= voice.stopTime) return false;
+        if (voice.loop) {
+          while (voice.position >= voice.loopEnd) voice.position -= voice.loopEnd - voice.loopStart;
+        } else if (voice.position >= buffer.length) {
+          return false;
+        }
+        var index = Math.floor(voice.position);
+        var frac = voice.position - index;
+        var g = constantGain != null ? constantGain : voice.gain.valueAt(t);
+        var l = readCubic(data0, index, frac, voice);
+        var r = data1 ? readCubic(data1, index, frac, voice) : l;
+        if (voice.softFilter) {
+          l = voice.softFilter.process(0, l);
+          r = data1 ? voice.softFilter.process(1, r) : l;
+        }
+        l *= g;
+        r *= g;
+        if (voice.filter) {
+          l = voice.filter.process(0, l);
+          r = data1 ? voice.filter.process(1, r) : l;
+        }
+        if (!pan) {
+          left[i] += l;
+          right[i] += r;
+        } else if (!data1) {
+          left[i] += l * panLeft;
+          right[i] += l * panRight;
+        } else if (pan <= 0) {
+          left[i] += l + r * panLeft;
+          right[i] += r * panRight;
+        } else {
+          left[i] += l * panLeft;
+          right[i] += r + l * panRight;
+        }
+        voice.position += step;
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('gsl-voice-processor', GslVoiceProcessor);
+})();
@@ -0,0 +1,158 @@
+/**
+ * AudioWorklet voice engine for the GSL synth.
+ * One AudioWorkletNode (gsl-voice-processor.js) mixes every sample voice instead of a buffer source and gain
+ * node per voice and layer. gsl-synth.js keeps all note logic: createVoice returns a facade whose
+ * `gain.gain` and `bufferSource` (playbackRate, stop) take the same calls as the Web Audio nodes and
+ * forward them to the processor, with the automation mirrored here so `.value` reads work.
+ * Live playback only; offline renders keep using nodes.
+ */
+(function () {
+  'use strict';
+
+  var PROCESSOR_NAME = 'gsl-voice-processor';
+  var MODULES = ['audio/gsl-param-timeline.js', 'audio/gsl-voice-processor.js'];
+
+  var engineCtx = null;
+  var node = null;
+  var outputs = []; // layer output nodes, in worklet output order
+  var loading = null;
+  var nextVoiceId = 1;
+  var nextBufferId = 1;
+  var sentBuffers = new WeakMap(); // AudioBuffer -> { id, crossfade } (resent when its loop crossfade changes)
+
+  function getBaseUrl() {
+    return (document.baseURI || window.location.href || '').replace(/\/[^/]*$/, '/');
+  }
+
+  function isSupported(ctx) {
+    return !!(ctx && ctx.audioWorklet && window.AudioWorkletNode && window.GslParamTimeline);
+  }
+
+  /**
+   * Load the processor on ctx and connect its outputs (one stereo output per layer) to the layer nodes.
+   * Resolves once the engine can play; rejects when AudioWorklet is not available.
+   */
+  function initEngine(ctx, layerOutputs) {
+    if (node && engineCtx === ctx) return Promise.resolve();
+    if (loading) return loading;
+    if (!isSupported(ctx)) return Promise.reject(new Error('AudioWorklet is not supported'));
+    var base = getBaseUrl();
+    loading = MODULES.reduce(function (chain, path) {
+      return chain.then(function () { return ctx.audioWorklet.addModule(base + path); });
+    }, Promise.resolve()).then(function () {
+      node = new window.AudioWorkletNode(ctx, PROCESSOR_NAME, {
+        numberOfInputs: 0,
+        numberOfOutputs: layerOutputs.length,
+        outputChannelCount: layerOutputs.map(function () { return 2; })
+      });
+      outputs = layerOutputs.slice();
+      outputs.forEach(function (output, index) { node.connect(output, index); });
+      engineCtx = ctx;
+      loading = null;
+    }, function (err) {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  function isReady(ctx) {
+    return !!node && engineCtx === ctx;
+  }
+
+  /** Worklet output index for a layer output node, or -1 when the node is not a layer output */
+  function getOutputIndex(output) {
+    return outputs.indexOf(output);
+  }
+
+  /**
+   * Copy a buffer's samples into the processor once (again under the same id after a loop crossfade change,
+   * which replaces the old copy). The copies are transferred, so only the processor keeps them.
+   */
+  function sendBuffer(buffer) {
+    var sent = sentBuffers.get(buffer);
+    var crossfade = buffer._loopCrossfade || null;
+    if (sent && sent.crossfade === crossfade) return sent.id;
+    var id = sent ? sent.id : nextBufferId++;
+    var channels = [];
+    for (var c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+    node.port.postMessage({ type: 'buffer', id: id, channels: channels, sampleRate: buffer.sampleRate },
+      channels.map(function (data) { return data.buffer; }));
+    sentBuffers.set(buffer, { id: id, crossfade: crossfade });
+    return id;
+  }
+
+  /** Drop the processor's copy of a buffer (its zone was unloaded); voices already playing it finish first */
+  function freeBuffer(buffer) {
+    var sent = buffer && sentBuffers.get(buffer);
+    if (!sent) return;
+    sentBuffers.delete(buffer);
+    if (node) node.port.postMessage({ type: 'free', id: sent.id });
+  }
+
+  /** AudioParam stand-in: schedules on a local GslParamTimeline and forwards each call to the processor */
+  function WorkletParam(voiceId, name, value) {
+    this.voiceId = voiceId;
+    this.name = name;
+    this.timeline = new window.GslParamTimeline(value);
+  }
+
+  Object.defineProperty(WorkletParam.prototype, 'value', {
+    get: function () { return this.timeline.valueAt(engineCtx.currentTime); }
+  });
+
+  ['setValueAtTime', 'linearRampToValueAtTime', 'exponentialRampToValueAtTime', 'setTargetAtTime', 'cancelScheduledValues'].forEach(function (method) {
+    WorkletParam.prototype[method] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      this.timeline.compact(engineCtx.currentTime);
+      this.timeline[method].apply(this.timeline, args);
+      node.port.postMessage({ type: 'param', id: this.voiceId, param: this.name, method: method, args: args });
+      return this;
+    };
+  });
+
+  /**
+   * Start a voice in the processor.
+   * v: { buffer, output (layer output node), time, rate, loop ({ start, end } seconds, or null),
+   *      softCutoff (Hz, soft-pedal lowpass), filter ({ type, cutoff, resonance, envPeak, envAttack, envDecay }), pan }
+   * Returns { gain: { gain: param }, bufferSource: { playbackRate: param, stop(time) } }, or null if the output
+   * is not a layer output of this engine.
+   */
+  function createVoice(v) {
+    var output = getOutputIndex(v.output);
+    if (!node || output === -1) return null;
+    var id = nextVoiceId++;
+    node.port.postMessage({
+      type: 'start',
+      id: id,
+      bufferId: sendBuffer(v.buffer),
+      output: output,
+      time: v.time,
+      rate: v.rate,
+      loop: v.loop,
+      softCutoff: v.softCutoff || 0,
+      filter: v.filter || null,
+      pan: v.pan || 0
+    });
+    var stopTime = Infinity;
+    return {
+      gain: { gain: new WorkletParam(id, 'gain', 1) },
+      bufferSource: {
+        playbackRate: new WorkletParam(id, 'playbackRate', v.rate),
+        stop: function (time) {
+          stopTime = Math.min(stopTime, time != null ? time : engineCtx.currentTime);
+          node.port.postMessage({ type: 'stop', id: id, time: stopTime });
+        }
+      }
+    };
+  }
+
+  window.GslWorkletEngine = {
+    isSupported: isSupported,
+    init: initEngine,
+    isReady: isReady,
+    getOutputIndex: getOutputIndex,
+    createVoice: createVoice,
+    freeBuffer: freeBuffer
+  };
+})();
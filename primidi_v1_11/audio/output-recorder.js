@@ -0,0 +1,301 @@
+/**
+ * Output recorder for PriMIDI.
+ * Taps the GSL synth output (after the master effects) and records exactly what is heard (human/drunk delays and flicker included)
+ * into WAV takes, with a level meter while recording. Offline rendering lives in midi/midi-render.
+ */
+(function () {
+  'use strict';
+
+  var BUFFER_SIZE = 4096; // ScriptProcessor block size (about 90 ms at 44.1 kHz)
+  var METER_FLOOR_DB = -60;
+
+  var recording = false;
+  var recordCtx = null;
+  var processor = null;
+  var silentOut = null;
+  var analyser = null;
+  var meterData = null;
+  var meterFrame = null;
+  var chunks = []; // [[Float32Array left, Float32Array right], ...]
+  var recordedFrames = 0;
+  var peakHold = 0; // highest sample level of the take so far
+  var takes = []; // [{ id, name, date, duration, blob, url }]
+  var nextTakeId = 1;
+
+  function getSynthNodes() {
+    var synth = window.synth && window.synth.synth;
+    if (!synth) return null;
+    var ctx = synth.audioCtx;
+    var master = synth.outputNode || synth.masterGain;
+    return (ctx && master) ? { ctx: ctx, master: master } : null;
+  }
+
+  function getBitDepth() {
+    return (window.midiRenderSettings && window.midiRenderSettings.bitDepth === 16) ? 16 : 24;
+  }
+
+  /** Start recording the master bus. Returns false if the synth is not ready. */
+  function startOutputRecording() {
+    if (recording) return true;
+    var nodes = getSynthNodes();
+    if (!nodes) {
+      console.warn('Output recorder: synth is not ready');
+      return false;
+    }
+    recordCtx = nodes.ctx;
+    if (recordCtx.state !== 'running') recordCtx.resume().catch(function () {});
+    chunks = [];
+    recordedFrames = 0;
+    peakHold = 0;
+
+    processor = recordCtx.createScriptProcessor(BUFFER_SIZE, 2, 2);
+    processor.onaudioprocess = function (e) {
+      if (!recording) return;
+      var input = e.inputBuffer;
+      var left = new Float32Array(input.getChannelData(0));
+      var right = input.numberOfChannels > 1 ? new Float32Array(input.getChannelData(1)) : left;
+      chunks.push([left, right]);
+      recordedFrames += left.length;
+    };
+    // A ScriptProcessor only runs while connected to the destination; keep it silent
+    silentOut = recordCtx.createGain();
+    silentOut.gain.value = 0;
+    nodes.master.connect(processor);
+    processor.connect(silentOut);
+    silentOut.connect(recordCtx.destination);
+
+    analyser = recordCtx.createAnalyser();
+    analyser.fftSize = 2048;
+    meterData = new Float32Array(analyser.fftSize);
+    nodes.master.connect(analyser);
+
+    recording = true;
+    updateRecorderUI();
+    meterFrame = requestAnimationFrame(updateMeter);
+    console.log('Output recording started');
+    return true;
+  }
+
+  function disconnectTap() {
+    var nodes = getSynthNodes();
+    if (nodes) {
+      try { nodes.master.disconnect(processor); } catch (e) {}
+      try { nodes.master.disconnect(analyser); } catch (e) {}
+    }
+    if (processor) {
+      processor.onaudioprocess = null;
+      processor.disconnect();
+    }
+    if (silentOut) silentOut.disconnect();
+    processor = null;
+    silentOut = null;
+    analyser = null;
+    if (meterFrame) cancelAnimationFrame(meterFrame);
+    meterFrame = null;
+  }
+
+  function joinChannel(index) {
+    var out = new Float32Array(recordedFrames);
+    var offset = 0;
+    for (var i = 0; i < chunks.length; i++) {
+      out.set(chunks[i][index], offset);
+      offset += chunks[i][index].length;
+    }
+    return out;
+  }
+
+  /** Stop recording and keep the take as a WAV file. Returns the take, or null if nothing was recorded. */
+  function stopOutputRecording() {
+    if (!recording) return null;
+    recording = false;
+    disconnectTap();
+
+    var take = null;
+    if (recordedFrames > 0 && window.WavEncoder) {
+      var sampleRate = recordCtx.sampleRate;
+      var blob = window.WavEncoder.encode([joinChannel(0), joinChannel(1)], sampleRate, getBitDepth());
+      var id = nextTakeId++;
+      take = {
+        id: id,
+        name: 'Audio ' + id,
+        date: new Date(),
+        duration: recordedFrames / sampleRate,
+        blob: blob,
+        url: URL.createObjectURL(blob)
+      };
+      takes.push(take);
+      console.log('Output recording stopped:', take.name, take.duration.toFixed(1) + ' s');
+    }
+    chunks = [];
+    recordedFrames = 0;
+    updateRecorderUI();
+    return take;
+  }
+
+  function toggleOutputRecording() {
+    if (recording) {
+      stopOutputRecording();
+    } else {
+      startOutputRecording();
+    }
+  }
+
+  function getTake(id) {
+    for (var i = 0; i < takes.length; i++) {
+      if (takes[i].id === id) return takes[i];
+    }
+    return null;
+  }
+
+  function deleteOutputTake(id) {
+    var take = getTake(id);
+    if (!take) return;
+    URL.revokeObjectURL(take.url);
+    takes.splice(takes.indexOf(take), 1);
+    updateRecorderUI();
+  }
+
+  function downloadOutputTake(id) {
+    var take = getTake(id);
+    if (!take || !window.WavEncoder) return;
+    window.WavEncoder.download(take.blob, 'primidi-' + take.name.toLowerCase().replace(/\s+/g, '-') + '.wav');
+  }
+
+  // ========== Recorder UI ==========
+
+  function formatTime(seconds) {
+    var s = Math.max(0, Math.floor(seconds));
+    var rest = s % 60;
+    return Math.floor(s / 60) + ':' + (rest < 10 ? '0' : '') + rest;
+  }
+
+  /** Floating "REC" indicator with level meter while recording (click to stop) */
+  function getIndicator() {
+    var indicator = document.getElementById('audio-recorder-indicator');
+    if (indicator) return indicator;
+    indicator = document.createElement('button');
+    indicator.type = 'button';
+    indicator.id = 'audio-recorder-indicator';
+    indicator.className = 'midi-recorder-indicator audio-recorder-indicator';
+    indicator.setAttribute('aria-label', 'Stop audio recording');
+    indicator.innerHTML = '<span class="audio-recorder-label"></span>' +
+      '<span class="audio-recorder-meter"><span class="audio-recorder-meter-fill"></span></span>';
+    indicator.addEventListener('click', function (e) {
+      e.stopPropagation();
+      stopOutputRecording();
+    });
+    document.body.appendChild(indicator);
+    return indicator;
+  }
+
+  function updateMeter() {
+    if (!recording || !analyser) return;
+    analyser.getFloatTimeDomainData(meterData);
+    var peak = 0;
+    for (var i = 0; i < meterData.length; i++) {
+      var v = Math.abs(meterData[i]);
+      if (v > peak) peak = v;
+    }
+    peakHold = Math.max(peakHold, peak);
+    var db = 20 * Math.log10(Math.max(peak, 0.00001));
+    var percent = Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+    var indicator = getIndicator();
+    var fill = indicator.querySelector('.audio-recorder-meter-fill');
+    var label = indicator.querySelector('.audio-recorder-label');
+    if (fill) fill.style.width = percent + '%';
+    indicator.classList.toggle('clipping', peakHold >= 1);
+    if (label && recordCtx) label.textContent = '● AUDIO ' + formatTime(recordedFrames / recordCtx.sampleRate) + (peakHold >= 1 ? ' CLIP' : '') + ' — Stop';
+    meterFrame = requestAnimationFrame(updateMeter);
+  }
+
+  function updateRecorderUI() {
+    var indicator = getIndicator();
+    indicator.classList.toggle('visible', recording);
+    if (!recording) indicator.classList.remove('clipping');
+    var recordBtn = document.getElementById('audio-record-btn');
+    if (recordBtn) {
+      recordBtn.textContent = recording ? '■ Stop' : '● Rec';
+      recordBtn.classList.toggle('recording', recording);
+    }
+    buildTakesList();
+  }
+
+  function buildTakesList() {
+    var list = document.getElementById('audio-takes-list');
+    if (!list) return;
+    if (takes.length === 0) {
+      list.innerHTML = '<div class="key-movement-description">No audio takes yet. Press ● Rec and play.</div>';
+      return;
+    }
+    var html = '<table class="midi-routing-table midi-takes-table"><tbody>';
+    takes.forEach(function (take) {
+      html += '<tr>' +
+        '<td class="midi-player-track-name">' + take.name + '</td>' +
+        '<td>' + formatTime(take.duration) + '</td>' +
+        '<td>' + take.date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + '</td>' +
+        '<td><audio class="audio-take-player" controls preload="none" src="' + take.url + '"></audio></td>' +
+        '<td><button type="button" class="midi-player-btn" data-action="download" data-take="' + take.id + '">WAV</button></td>' +
+        '<td><button type="button" class="midi-player-btn" data-action="delete" data-take="' + take.id + '" aria-label="Delete">×</button></td>' +
+        '</tr>';
+    });
+    html += '</tbody></table>';
+    list.innerHTML = html;
+  }
+
+  function getTakesPopup() {
+    var popup = document.getElementById('audio-takes-popup');
+    if (popup) return popup;
+    popup = document.createElement('div');
+    popup.id = 'audio-takes-popup';
+    popup.className = 'key-movement-popup midi-routing-popup';
+    popup.innerHTML =
+      '<div class="key-movement-popup-content">' +
+        '<div class="key-movement-popup-header">' +
+          '<h2>Audio Takes</h2>' +
+          '<button class="key-movement-popup-close">×</button>' +
+        '</div>' +
+        '<div class="key-movement-popup-body">' +
+          '<div id="audio-takes-list"></div>' +
+        '</div>' +
+      '</div>';
+    document.body.appendChild(popup);
+    function close() {
+      popup.classList.remove('active');
+      var players = popup.querySelectorAll('audio');
+      for (var i = 0; i < players.length; i++) players[i].pause();
+    }
+    popup.querySelector('.key-movement-popup-close').addEventListener('click', close);
+    popup.addEventListener('click', function (e) {
+      if (e.target === popup) {
+        close();
+        return;
+      }
+      var button = e.target.closest && e.target.closest('button[data-action]');
+      if (!button) return;
+      var id = parseInt(button.dataset.take, 10);
+      if (button.dataset.action === 'download') {
+        downloadOutputTake(id);
+      } else if (button.dataset.action === 'delete') {
+        deleteOutputTake(id);
+      }
+    });
+    return popup;
+  }
+
+  function openOutputTakes() {
+    var popup = getTakesPopup();
+    buildTakesList();
+    popup.classList.add('active');
+  }
+
+  window.OutputRecorder = {
+    start: startOutputRecording,
+    stop: stopOutputRecording,
+    toggle: toggleOutputRecording,
+    isRecording: function () { return recording; },
+    getTakes: function () { return takes.slice(); },
+    deleteTake: deleteOutputTake,
+    downloadTake: downloadOutputTake,
+    openTakes: openOutputTakes
+  };
+})();
@@ -0,0 +1,92 @@
+/**
+ * Spectral resonance delay for the GSL master chain, ported from v1_06 without the Tone.js dependency.
+ * A stereo feedback delay whose time follows the last played note: low and soft notes ring with longer
+ * delays, high and hard ones with shorter (updateSpectralDelayParams, called on note-on by midi-mapping).
+ */
+(function () {
+  'use strict';
+
+  var settings = {
+    delayTime: 0.1, // seconds, until the first note sets it
+    feedback: 0.3,
+    wetLevel: 0.3,
+    dryLevel: 0.7
+  };
+
+  var MAX_DELAY = 2.0;
+  var MIN_NOTE_DELAY = 0.01;
+  var MAX_NOTE_DELAY = 0.5;
+  var DELAY_GLIDE = 0.05; // setTargetAtTime time constant; avoids clicks when the time jumps
+
+  var effect = null; // { ctx, input, output, delays }
+
+  function isEnabled() {
+    return !!(window.physicsSettings && window.physicsSettings.spectralResonanceDelay);
+  }
+
+  function createEffect(ctx) {
+    var input = ctx.createGain();
+    var output = ctx.createGain();
+    var splitter = ctx.createChannelSplitter(2);
+    var merger = ctx.createChannelMerger(2);
+    var delays = [];
+    input.connect(splitter);
+    merger.connect(output);
+    for (var channel = 0; channel < 2; channel++) {
+      var delay = ctx.createDelay(MAX_DELAY);
+      delay.delayTime.value = settings.delayTime;
+      var feedback = ctx.createGain();
+      feedback.gain.value = settings.feedback;
+      var wet = ctx.createGain();
+      wet.gain.value = settings.wetLevel;
+      var dry = ctx.createGain();
+      dry.gain.value = settings.dryLevel;
+      splitter.connect(delay, channel);
+      delay.connect(feedback);
+      feedback.connect(delay);
+      feedback.connect(wet);
+      wet.connect(merger, 0, channel);
+      splitter.connect(dry, channel);
+      dry.connect(merger, 0, channel);
+      delays.push(delay);
+    }
+    return { ctx: ctx, input: input, output: output, delays: delays };
+  }
+
+  /**
+   * Insert the effect after inputNode; returns the node to continue the chain from
+   * (inputNode itself while physicsSettings.spectralResonanceDelay is off).
+   */
+  function connectSpectralResonanceDelay(inputNode) {
+    if (!isEnabled()) return inputNode;
+    var ctx = inputNode.context || (window.synth && window.synth.synth && window.synth.synth.audioCtx);
+    if (!ctx) {
+      console.warn('Spectral resonance delay: AudioContext not available');
+      return inputNode;
+    }
+    if (!effect || effect.ctx !== ctx) effect = createEffect(ctx);
+    inputNode.connect(effect.input);
+    return effect.output;
+  }
+
+  /**
+   * Retune the delay for a new note: lower frequencies and softer velocities give longer delays (±20% random)
+   * @param {number} velocity - MIDI velocity (0-127)
+   * @param {number} frequency - Note frequency in Hz
+   */
+  function updateSpectralDelayParams(velocity, frequency) {
+    if (!effect || !isEnabled() || !(frequency > 0)) return;
+    var baseDelay = 0.5 / (frequency / 100);
+    var velocityFactor = 1.5 - velocity / 127;
+    var randomVariation = 0.8 + Math.random() * 0.4;
+    var delayTime = Math.max(MIN_NOTE_DELAY, Math.min(MAX_NOTE_DELAY, baseDelay * velocityFactor * randomVariation));
+    var now = effect.ctx.currentTime;
+    effect.delays.forEach(function (delay) {
+      delay.delayTime.setTargetAtTime(delayTime, now, DELAY_GLIDE);
+    });
+  }
+
+  window.spectralResonanceDelaySettings = settings;
+  window.connectSpectralResonanceDelay = connectSpectralResonanceDelay;
+  window.updateSpectralDelayParams = updateSpectralDelayParams;
+})();
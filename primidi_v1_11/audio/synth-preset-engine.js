@@ -0,0 +1,169 @@
+/**
+ * Oscillator presets (audio/synth-presets/*.js, window.PremiumSoundInstrumentProfiles) as GSL layer engines.
+ * Each registry key becomes the layer engine 'synth_<key>', so the v1_09 synth presets can be picked in the
+ * instrument grid and mixed with sample layers. Notes play live from the preset's oscillators, noise burst and
+ * filter, then v1_09's natural-decay lowpass sweep, instead of v1_09's pre-rendered one-octave buffers;
+ * gsl-synth adds envelope, pan and pedals.
+ */
+(function () {
+  'use strict';
+
+  var SLUG_PREFIX = 'synth_';
+  var LABELS = {
+    bass: 'Synth bass',
+    bell: 'Synth bell',
+    brightLead: 'Synth bright lead',
+    epiano: 'Synth e-piano',
+    organ: 'Synth organ',
+    pluck: 'Synth pluck',
+    softPiano: 'Synth soft piano',
+    string: 'Synth strings',
+    warmPad: 'Synth warm pad'
+  };
+
+  var NOMINAL_VELOCITY = 0.8; // velocityNormalized used to read the preset envelope (v1_09)
+  var MIN_ATTACK = 0.008;
+  var NATURAL_DECAY = 10; // seconds for a held note to fade (v1_09 Synth Calm)
+  var NATURAL_DECAY_LOWPASS_START = 14000; // Hz at the start of the natural decay (full brightness)
+  var NATURAL_DECAY_LOWPASS_END = 2800; // Hz at its end (subtle dim)
+  var NOISE_ATTACK = 0.003;
+  var NOISE_LENGTH = 0.08;
+
+  var noiseBuffers = new WeakMap(); // AudioContext -> one second of white noise
+
+  function getRegistry() {
+    return window.PremiumSoundInstrumentProfiles || {};
+  }
+
+  function getLabel(key) {
+    if (LABELS[key]) return LABELS[key];
+    return 'Synth ' + key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  }
+
+  /** Preset object from a registry provider, or null when it has no oscillators */
+  function resolvePreset(key, args) {
+    var provider = getRegistry()[key];
+    var preset = typeof provider === 'function' ? provider(args) : null;
+    return (preset && preset.oscillators && preset.oscillators.length) ? preset : null;
+  }
+
+  function getNoiseBuffer(ctx) {
+    var buffer = noiseBuffers.get(ctx);
+    if (buffer) return buffer;
+    buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    var data = buffer.getChannelData(0);
+    for (var i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+    return buffer;
+  }
+
+  function getAttack(preset) {
+    return Math.max(MIN_ATTACK, preset && preset.attack != null ? preset.attack : 0.01);
+  }
+
+  function getDecay(preset) {
+    return preset && preset.decay != null ? preset.decay : 0.12;
+  }
+
+  /**
+   * Layer engine startSource for one preset key (see gsl-synth registerLayerEngine): the preset's oscillators
+   * (pitch from one ConstantSource so pitch bend moves them together) and noise burst, mixed as in v1_09,
+   * through its filter and the natural-decay lowpass (held until attack + decay, then swept down).
+   */
+  function createStartSource(key) {
+    return function (ctx, destination, p) {
+      var vNorm = Math.max(0, Math.min(127, p.velocity)) / 127;
+      var preset = resolvePreset(key, { note: p.midi, velocity: p.velocity, velocityNormalized: vNorm, durationSeconds: 0 });
+      var oscillators = preset ? preset.oscillators : [{ type: 'sine', detune: 0 }];
+      var t = p.time;
+
+      var nyquist = ctx.sampleRate / 2 - 100;
+      var mix = ctx.createGain();
+      mix.gain.value = 1 / oscillators.length;
+      var out = mix;
+      if (preset && preset.filter) {
+        var filter = ctx.createBiquadFilter();
+        filter.type = preset.filter.type || 'lowpass';
+        var cutoff = (preset.filter.base || 1200) + (preset.filter.velocity || 2000) * vNorm;
+        filter.frequency.setValueAtTime(Math.min(nyquist, cutoff), t);
+        mix.connect(filter);
+        out = filter;
+      }
+      var decayFilter = ctx.createBiquadFilter();
+      decayFilter.type = 'lowpass';
+      decayFilter.Q.value = 0.7;
+      var decayStart = t + getAttack(preset) + getDecay(preset);
+      decayFilter.frequency.setValueAtTime(Math.min(nyquist, NATURAL_DECAY_LOWPASS_START), t);
+      decayFilter.frequency.setValueAtTime(Math.min(nyquist, NATURAL_DECAY_LOWPASS_START), decayStart);
+      decayFilter.frequency.linearRampToValueAtTime(Math.min(nyquist, NATURAL_DECAY_LOWPASS_END), decayStart + NATURAL_DECAY);
+      out.connect(decayFilter);
+      decayFilter.connect(destination);
+
+      var rate = ctx.createConstantSource();
+      rate.offset.setValueAtTime(p.rate, t);
+      var frequency = ctx.createGain();
+      frequency.gain.value = 440 * Math.pow(2, (p.midi - 69) / 12);
+      rate.connect(frequency);
+      var sources = [rate];
+      oscillators.forEach(function (config) {
+        var osc = ctx.createOscillator();
+        osc.type = config.type || 'sine';
+        osc.frequency.value = 0;
+        osc.detune.setValueAtTime(config.detune || 0, t);
+        frequency.connect(osc.frequency);
+        osc.connect(mix);
+        osc.start(t);
+        sources.push(osc);
+      });
+      rate.start(t);
+
+      if (preset && preset.noise) {
+        var noise = ctx.createBufferSource();
+        noise.buffer = getNoiseBuffer(ctx);
+        var noiseGain = ctx.createGain();
+        noiseGain.gain.setValueAtTime(0, t);
+        noiseGain.gain.linearRampToValueAtTime(Math.max(0.0002, vNorm * preset.noise), t + NOISE_ATTACK);
+        noiseGain.gain.exponentialRampToValueAtTime(0.0001, t + Math.min(0.06, getAttack(preset) + 0.04));
+        noise.connect(noiseGain);
+        noiseGain.connect(mix); // before the filter, like the oscillators
+        noise.start(t);
+        noise.stop(t + NOISE_LENGTH);
+      }
+
+      return {
+        playbackRate: rate.offset,
+        stop: function (time) {
+          sources.forEach(function (source) {
+            try { source.stop(time); } catch (e) { /* already stopped */ }
+          });
+        }
+      };
+    };
+  }
+
+  /** Register every preset in window.PremiumSoundInstrumentProfiles that is not registered yet */
+  function registerSynthPresetEngines() {
+    var synth = window.gslSynth;
+    if (!synth || !synth.registerLayerEngine) return;
+    Object.keys(getRegistry()).forEach(function (key) {
+      // GSL sample presets share the registry (InstrumentSampleHandler); they are not oscillator presets
+      if (key.indexOf('gsl_') === 0 || synth.getLayerEngine(SLUG_PREFIX + key)) return;
+      var preset = resolvePreset(key, { note: 60, velocity: 80, velocityNormalized: NOMINAL_VELOCITY, durationSeconds: 0 });
+      if (!preset) return;
+      synth.registerLayerEngine(SLUG_PREFIX + key, {
+        label: getLabel(key),
+        preset: {
+          attack: getAttack(preset),
+          decay: getDecay(preset),
+          sustain: preset.sustain != null ? preset.sustain : 0.8,
+          release: preset.release != null ? preset.release : 0.25,
+          naturalDecay: NATURAL_DECAY
+        },
+        startSource: createStartSource(key)
+      });
+    });
+  }
+
+  registerSynthPresetEngines();
+  window.registerSynthPresetEngines = registerSynthPresetEngines;
+})();
@@ -0,0 +1,152 @@
+/**
+ * Chorus / ping-pong movement for the GSL master chain, ported from v1_06 (tremolo.js) to plain Web Audio.
+ * Each channel runs through an LFO-modulated feedback delay; the wet signals swing between left and right
+ * with a slower LFO, a cheap stand-in for a moving listener. `strength` scales depth, wet level and swing.
+ * Exported under both the tremolo (reconnectAudioChain) and chorus names.
+ */
+(function () {
+  'use strict';
+
+  var settings = {
+    enabled: false,
+    strength: 1.0, // 0–2, scales depth, wet level and ping-pong depth
+    rate: 0.8, // Hz, delay modulation
+    depth: 0.003, // seconds of delay modulation
+    delayTime: 0.015, // seconds, chorus range
+    feedback: 0.2,
+    wetLevel: 0.4,
+    dryLevel: 0.6,
+    pingPongRate: 0.5, // Hz, left-right swing
+    pingPongDepth: 0.7 // 0–1
+  };
+
+  var MAX_DELAY = 0.1;
+  var RIGHT_RATE_FACTOR = 1.1; // right LFO runs slightly faster so the channels drift apart
+
+  var effect = null; // { ctx, input, output, nodes, sources }
+
+  function teardown() {
+    effect.sources.forEach(function (source) {
+      try { source.stop(); } catch (e) { /* already stopped */ }
+    });
+    effect.nodes.forEach(function (node) { node.disconnect(); });
+    effect.input.disconnect();
+    effect.nodes = [];
+    effect.sources = [];
+  }
+
+  /** (Re)build the processing between the persistent input and output nodes from the current settings */
+  function setupChorusChain() {
+    if (!effect) return;
+    var ctx = effect.ctx;
+    teardown();
+    if (!settings.enabled) {
+      effect.input.connect(effect.output);
+      return;
+    }
+    var track = function (node) { effect.nodes.push(node); return node; };
+    var gain = function (value) {
+      var g = track(ctx.createGain());
+      g.gain.value = value;
+      return g;
+    };
+    var source = function (node) {
+      track(node);
+      effect.sources.push(node);
+      return node;
+    };
+
+    var strength = settings.strength != null ? settings.strength : 1;
+    var wet = settings.wetLevel * strength;
+    var dry = settings.dryLevel;
+    var total = wet + dry;
+    if (total > 1) {
+      wet /= total;
+      dry /= total;
+    }
+
+    var splitter = track(ctx.createChannelSplitter(2));
+    var merger = track(ctx.createChannelMerger(2));
+    effect.input.connect(splitter);
+    merger.connect(effect.output);
+
+    // Ping-pong: pan gains swing around 0.5; the left delay follows the LFO, the right one the inverse
+    var panLfo = source(ctx.createOscillator());
+    panLfo.frequency.value = settings.pingPongRate;
+    var panCenter = source(ctx.createConstantSource());
+    panCenter.offset.value = 0.5;
+    var panRange = gain(settings.pingPongDepth * strength * 0.5);
+    var panInvert = gain(-1);
+    panLfo.connect(panRange);
+    panRange.connect(panInvert);
+
+    [0, 1].forEach(function (channel) {
+      var delay = track(ctx.createDelay(MAX_DELAY));
+      delay.delayTime.value = settings.delayTime;
+      var lfo = source(ctx.createOscillator());
+      lfo.frequency.value = settings.rate * (channel === 0 ? 1 : RIGHT_RATE_FACTOR);
+      var lfoDepth = gain(settings.depth * strength);
+      lfo.connect(lfoDepth);
+      lfoDepth.connect(delay.delayTime);
+      var feedback = gain(settings.feedback);
+      delay.connect(feedback);
+      feedback.connect(delay);
+
+      splitter.connect(delay, channel);
+      var dryGain = gain(dry);
+      splitter.connect(dryGain, channel);
+      dryGain.connect(merger, 0, channel);
+
+      [0, 1].forEach(function (out) {
+        var pan = gain(0);
+        panCenter.connect(pan.gain);
+        (out === channel ? panRange : panInvert).connect(pan.gain);
+        var wetGain = gain(wet);
+        delay.connect(pan);
+        pan.connect(wetGain);
+        wetGain.connect(merger, 0, out);
+      });
+    });
+
+    effect.sources.forEach(function (s) { s.start(); });
+  }
+
+  function initializeChorus(ctx) {
+    ctx = ctx || (window.synth && window.synth.synth && window.synth.synth.audioCtx);
+    if (!ctx) {
+      console.warn('Chorus: AudioContext not available');
+      return false;
+    }
+    if (effect && effect.ctx === ctx) return true;
+    effect = { ctx: ctx, input: ctx.createGain(), output: ctx.createGain(), nodes: [], sources: [] };
+    setupChorusChain();
+    return true;
+  }
+
+  /**
+   * Insert the effect after inputNode; returns the node to continue the chain from
+   * (inputNode itself while disabled).
+   */
+  function connectChorus(inputNode) {
+    if (!settings.enabled || !initializeChorus(inputNode.context)) return inputNode;
+    inputNode.connect(effect.input);
+    return effect.output;
+  }
+
+  /** Merge newSettings (a partial settings object) and rebuild the chain */
+  function updateChorusSettings(newSettings) {
+    if (newSettings && newSettings !== settings) Object.assign(settings, newSettings);
+    setupChorusChain();
+  }
+
+  window.tremoloSettings = settings;
+  window.chorusSettings = settings;
+  window.initializeTremolo = initializeChorus;
+  window.initializeChorus = initializeChorus;
+  window.connectTremolo = connectChorus;
+  window.connectChorus = connectChorus;
+  window.updateTremoloSettings = updateChorusSettings;
+  window.updateChorusSettings = updateChorusSettings;
+  window.setupTremoloChain = setupChorusChain;
+  window.setupChorusChain = setupChorusChain;
+})();
@@ -0,0 +1,82 @@
+/**
+ * WAV encoder for PriMIDI renders and recordings.
+ * Encodes AudioBuffers (or raw channel data) as 16- or 24-bit PCM WAV files and downloads them.
+ */
+(function () {
+  'use strict';
+
+  function writeString(view, offset, text) {
+    for (var i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  }
+
+  /**
+   * Encode audio as a PCM WAV file.
+   * source: AudioBuffer, or an array of Float32Array channels (same length) with sampleRate given.
+   * bitDepth: 16 or 24 (default 16). Samples are clipped to -1..1.
+   * Returns a Blob of type audio/wav.
+   */
+  function encodeWav(source, sampleRate, bitDepth) {
+    var channels = [];
+    if (source && typeof source.getChannelData === 'function') {
+      for (var c = 0; c < source.numberOfChannels; c++) channels.push(source.getChannelData(c));
+      sampleRate = sampleRate || source.sampleRate;
+    } else {
+      channels = source || [];
+    }
+    var numChannels = Math.max(1, channels.length);
+    var length = channels.length ? channels[0].length : 0;
+    var bytesPerSample = bitDepth === 24 ? 3 : 2;
+    var blockAlign = numChannels * bytesPerSample;
+    var dataSize = length * blockAlign;
+    var buffer = new ArrayBuffer(44 + dataSize);
+    var view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    var offset = 44;
+    for (var i = 0; i < length; i++) {
+      for (var ch = 0; ch < channels.length; ch++) {
+        var sample = Math.max(-1, Math.min(1, channels[ch][i]));
+        if (bytesPerSample === 3) {
+          var v24 = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+          view.setUint8(offset, v24 & 0xff);
+          view.setUint8(offset + 1, (v24 >> 8) & 0xff);
+          view.setUint8(offset + 2, (v24 >> 16) & 0xff);
+        } else {
+          view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+        }
+        offset += bytesPerSample;
+      }
+    }
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /** Save a Blob through a temporary download link. */
+  function downloadBlob(blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  window.WavEncoder = {
+    encode: encodeWav,
+    download: downloadBlob
+  };
+})();
@@ -1,6 +1,15 @@
 /**
  * Sample-based instruments for PriMIDI 3D piano.
  * Supports all instruments in instruments/GSL (zones.json + zone_*.wav).
+ * Zone fields: keyLow, keyHigh, originalPitchCents, file, loopStart, loopEnd,
+ * and optionally velLow, velHigh (velocity layers), roundRobin (alternates within a key and velocity range),
+ * oneShot (plays to the end of the sample, ignoring note-off) and chokeGroup / chokedBy
+ * (a zone starting in a choke group cuts sounding voices of that group on the same layer;
+ * chokedBy defaults to chokeGroup, null = never cut).
+ * In-memory zones (SoundFonts, see sf2-loader.js; SFZ, see sfz-loader.js) use sampleData or
+ * sampleFile instead of file and may set loop (false = no loop), gain, trigger ('release')
+ * and their own attack/decay/sustain/release.
+ * Looping zones get a crossfaded loop when their sample is decoded (see crossfadeZoneLoop).
  */
 (function () {
   'use strict';
@@ -11,7 +20,11 @@
   var GSL_MANIFEST_URL = 'instruments/GSL/gsl-manifest.json';
   var gslManifest = null;
   var gslSlugToId = {};
+  var gslEntryById = {}; // id -> manifest entry (per-preset options such as naturalDecay)
   var gslZonesCache = {};
+  var loopCrossfadeTime = 0.03; // seconds blended into the end of each loop at decode time; 0 = plain loops
+  var MAX_LOOP_CROSSFADE_TIME = 0.2;
+  var LOOP_EDGE_MARGIN = 0.1; // seconds; zones without loop points loop this far inside the sample
 
   function bufferMap(z) {
     if (!z._bufferByContext) z._bufferByContext = new WeakMap();
@@ -34,8 +47,10 @@
     }).then(function (list) {
       gslManifest = list;
       gslSlugToId = {};
+      gslEntryById = {};
       list.forEach(function (entry) {
         gslSlugToId[entry.slug] = entry.id;
+        gslEntryById[entry.id] = entry;
         (function (capturedId) {
           registry[entry.slug] = function () { return getGslPresetConfig(capturedId); };
         })(entry.id);
@@ -44,20 +59,44 @@
     });
   }
 
+  /** Default envelope for a GSL id: the manifest entry's envelope ({ attack, decay, sustain, release }) over SAMPLE_ENVELOPE. */
+  function getGslEnvelope(id) {
+    var envelope = (gslEntryById[id] && gslEntryById[id].envelope) || {};
+    var out = {};
+    Object.keys(SAMPLE_ENVELOPE).forEach(function (key) {
+      out[key] = typeof envelope[key] === 'number' ? envelope[key] : SAMPLE_ENVELOPE[key];
+    });
+    return out;
+  }
+
+  /**
+   * Preset config for a GSL id. naturalDecay (manifest, seconds at middle C) makes held notes
+   * die away; presets without it sustain for as long as the key or pedal holds them.
+   */
   function getGslPresetConfig(id) {
     var zones = gslZonesCache[id];
     if (!zones || !zones.length) return null;
+    var entry = gslEntryById[id] || {};
+    var envelope = getGslEnvelope(id);
     return {
       type: 'sample',
       basePath: GSL_BASE + encodeURIComponent(id) + '/',
       zones: zones,
-      attack: SAMPLE_ENVELOPE.attack,
-      decay: SAMPLE_ENVELOPE.decay,
-      sustain: SAMPLE_ENVELOPE.sustain,
-      release: SAMPLE_ENVELOPE.release
+      attack: envelope.attack,
+      decay: envelope.decay,
+      sustain: envelope.sustain,
+      release: envelope.release,
+      naturalDecay: entry.naturalDecay > 0 ? entry.naturalDecay : null,
+      layerZones: !!entry.layerZones
     };
   }
 
+  /** Default envelope of a preset (available before its zones are loaded); null for unknown presets. */
+  function getPresetEnvelope(presetName) {
+    var id = isGslPreset(presetName) ? gslSlugToId[presetName] : null;
+    return id ? getGslEnvelope(id) : null;
+  }
+
   function ensureGslZonesLoaded(presetName, baseUrl) {
     var id = gslSlugToId[presetName];
     if (!id) return Promise.reject(new Error('Unknown GSL preset: ' + presetName));
@@ -79,21 +118,281 @@
     return getGslPresetConfig(id);
   }
 
-  function getZoneForMidi(presetName, midi) {
+  /* Velocity range (in MIDI velocity steps) over which adjacent velocity layers crossfade */
+  var VELOCITY_CROSSFADE = 8;
+  var roundRobinCounters = {}; // "preset:trigger:keyLow-keyHigh" -> notes triggered so far
+
+  function zoneVelLow(z) { return z.velLow != null ? z.velLow : 0; }
+  function zoneVelHigh(z) { return z.velHigh != null ? z.velHigh : 127; }
+
+  /**
+   * Zones of a velocity layer that sound together: zones without `roundRobin` always play, zones
+   * with it are alternatives and only those at the current round-robin step play.
+   */
+  function pickRoundRobin(layer, position) {
+    var steps = [];
+    layer.forEach(function (z) {
+      if (z.roundRobin != null && steps.indexOf(z.roundRobin) === -1) steps.push(z.roundRobin);
+    });
+    if (!steps.length) return layer;
+    steps.sort(function (a, b) { return a - b; });
+    var step = steps[position % steps.length];
+    return layer.filter(function (z) { return z.roundRobin == null || z.roundRobin === step; });
+  }
+
+  /* Crossfade gain times the zone's own level (`gain`, e.g. SoundFont initial attenuation) */
+  function zoneEntry(zone, gain) {
+    return { zone: zone, gain: gain * (zone.gain != null ? zone.gain : 1) };
+  }
+
+  function layerEntries(layer, position, gain) {
+    return pickRoundRobin(layer, position).map(function (z) { return zoneEntry(z, gain); });
+  }
+
+  /** Split zones into groups with the same key range, in zone order */
+  function groupByKeyRange(zones) {
+    var groups = [];
+    zones.forEach(function (z) {
+      for (var i = 0; i < groups.length; i++) {
+        if (groups[i][0].keyLow === z.keyLow && groups[i][0].keyHigh === z.keyHigh) {
+          groups[i].push(z);
+          return;
+        }
+      }
+      groups.push([z]);
+    });
+    return groups;
+  }
+
+  /**
+   * Entries for one key range group: picks the velocity layer (crossfading near a boundary with the
+   * adjacent layer) and its round-robin step. The step counter belongs to the group's key range, so
+   * crossfaded layers stay on the same step and `advance` moves it once per note.
+   */
+  function getGroupEntries(presetName, group, vel, trigger, advance) {
+    // Group into velocity layers, lowest first
+    var layers = [];
+    group.forEach(function (z) {
+      for (var i = 0; i < layers.length; i++) {
+        if (zoneVelLow(layers[i][0]) === zoneVelLow(z) && zoneVelHigh(layers[i][0]) === zoneVelHigh(z)) {
+          layers[i].push(z);
+          return;
+        }
+      }
+      layers.push([z]);
+    });
+    layers.sort(function (a, b) { return zoneVelLow(a[0]) - zoneVelLow(b[0]); });
+
+    var rrKey = presetName + ':' + (trigger === 'release' ? 'release' : 'attack') + ':' + group[0].keyLow + '-' + group[0].keyHigh;
+    var position = roundRobinCounters[rrKey] || 0;
+    if (advance) roundRobinCounters[rrKey] = position + 1;
+
+    var index = -1;
+    for (var l = 0; l < layers.length; l++) {
+      if (vel >= zoneVelLow(layers[l][0]) && vel <= zoneVelHigh(layers[l][0])) index = l;
+    }
+    if (index === -1) {
+      // Velocity falls in a gap: nearest layer below, else the lowest
+      index = 0;
+      for (var g = 0; g < layers.length; g++) {
+        if (zoneVelHigh(layers[g][0]) < vel) index = g;
+      }
+    }
+
+    var layer = layers[index];
+    var half = VELOCITY_CROSSFADE / 2;
+    var lower = layers[index - 1];
+    var upper = layers[index + 1];
+    var neighbour = null;
+    var t = 0; // 0 = lower layer only, 1 = upper layer only
+    if (upper && zoneVelLow(upper[0]) === zoneVelHigh(layer[0]) + 1) {
+      var upBoundary = zoneVelHigh(layer[0]) + 0.5;
+      if (vel > upBoundary - half) {
+        neighbour = upper;
+        t = (vel - (upBoundary - half)) / VELOCITY_CROSSFADE;
+      }
+    }
+    if (!neighbour && lower && zoneVelHigh(lower[0]) === zoneVelLow(layer[0]) - 1) {
+      var lowBoundary = zoneVelLow(layer[0]) - 0.5;
+      if (vel < lowBoundary + half) {
+        neighbour = lower;
+        t = (vel - (lowBoundary - half)) / VELOCITY_CROSSFADE;
+      }
+    }
+    if (!neighbour) return layerEntries(layer, position, 1);
+
+    var lowLayer = neighbour === upper ? layer : lower;
+    var highLayer = neighbour === upper ? upper : layer;
+    t = Math.max(0, Math.min(1, t));
+    return layerEntries(lowLayer, position, Math.cos(t * Math.PI / 2))
+      .concat(layerEntries(highLayer, position, Math.sin(t * Math.PI / 2)));
+  }
+
+  /**
+   * Zones to play for a note: [{ zone, gain }].
+   * Zones covering the key are grouped by exact key range. GSL folder presets play the group with the
+   * narrowest range (a kit's 42-42 hi-hat over its 0-127 fallback); registered presets (SoundFont, SFZ)
+   * play every group together, as those formats layer overlapping regions. Within a group, zones may set
+   * velLow/velHigh (default 0-127) and roundRobin; near a boundary between adjacent velocity layers both
+   * play with equal-power gains. Without velocity the loudest layer is used.
+   * trigger 'release' selects the release-triggered zones (SFZ trigger=release) instead.
+   * Pass `advance` only when the note is actually triggered: it steps the round robin once per group,
+   * so lookups (getZoneForMidi) and crossfaded layers do not skip alternatives.
+   */
+  function getZonesForMidi(presetName, midi, velocity, trigger, advance) {
     var preset = getPreset(presetName);
-    if (!preset || !preset.zones) return null;
-    var zones = preset.zones;
-    for (var i = 0; i < zones.length; i++) {
-      var z = zones[i];
-      if (midi >= z.keyLow && midi <= z.keyHigh) return z;
+    if (!preset || !preset.zones || !preset.zones.length) return [];
+    var wantRelease = trigger === 'release';
+    var zones = preset.zones.filter(function (z) { return (z.trigger === 'release') === wantRelease; });
+    if (!zones.length) return [];
+    var keyZones = zones.filter(function (z) { return midi >= z.keyLow && midi <= z.keyHigh; });
+    if (!keyZones.length) {
+      var last = zones[zones.length - 1];
+      keyZones = zones.filter(function (z) { return z.keyLow === last.keyLow && z.keyHigh === last.keyHigh; });
     }
-    return zones[zones.length - 1];
+    var vel = velocity != null ? Math.max(0, Math.min(127, velocity)) : 127;
+
+    var groups = groupByKeyRange(keyZones);
+    if (!preset.layerZones) {
+      var narrowest = groups[0];
+      groups.forEach(function (group) {
+        if (group[0].keyHigh - group[0].keyLow < narrowest[0].keyHigh - narrowest[0].keyLow) narrowest = group;
+      });
+      groups = [narrowest];
+    }
+    var entries = [];
+    groups.forEach(function (group) {
+      entries = entries.concat(getGroupEntries(presetName, group, vel, trigger, advance));
+    });
+    return entries;
+  }
+
+  /** Main zone for a note (the louder one when velocity layers crossfade). */
+  function getZoneForMidi(presetName, midi, velocity) {
+    var entries = getZonesForMidi(presetName, midi, velocity);
+    if (!entries.length) return null;
+    return entries.length > 1 && entries[1].gain > entries[0].gain ? entries[1].zone : entries[0].zone;
   }
 
   function getZoneBuffer(zone, ctx) {
     return zone && ctx ? bufferMap(zone).get(ctx) : null;
   }
 
+  /** AudioBuffer for an in-memory zone (SoundFont samples: 16-bit smpl data, plus sm24 low bytes when present) */
+  function createZoneBuffer(ctx, sampleData) {
+    var source = sampleData.source;
+    var length = sampleData.end - sampleData.start;
+    var buf = ctx.createBuffer(1, length, sampleData.sampleRate);
+    var data = buf.getChannelData(0);
+    for (var i = 0; i < length; i++) {
+      var index = sampleData.start + i;
+      data[i] = source.sm24
+        ? ((source.smpl[index] << 8) | source.sm24[index]) / 8388608
+        : source.smpl[index] / 32768;
+    }
+    return buf;
+  }
+
+  /** Loop points in seconds; zones without loopStart/loopEnd loop from 0.1 s to 0.1 s before the end */
+  function getZoneLoop(zone, buffer) {
+    return {
+      start: zone.loopStart != null ? zone.loopStart : LOOP_EDGE_MARGIN,
+      end: zone.loopEnd != null ? zone.loopEnd : Math.max(LOOP_EDGE_MARGIN + 0.01, buffer.duration - LOOP_EDGE_MARGIN)
+    };
+  }
+
+  /**
+   * Blend the end of a zone's loop into the audio just before loopStart (equal power), so the jump from
+   * loopEnd back to loopStart is seamless even for loops of a few cycles. Edits the decoded buffer in place
+   * and keeps the original frames on it, so a new crossfade length can be applied later; zone files are not changed.
+   * The crossfade is at most half the loop and never longer than the audio before loopStart.
+   */
+  function crossfadeZoneLoop(zone, buffer) {
+    if (!buffer || zone.oneShot || zone.loop === false) return buffer;
+    var saved = buffer._loopCrossfade;
+    if (saved) {
+      for (var c = 0; c < buffer.numberOfChannels; c++) buffer.getChannelData(c).set(saved.original[c], saved.from);
+      buffer._loopCrossfade = null;
+    }
+    var loop = getZoneLoop(zone, buffer);
+    var start = Math.round(loop.start * buffer.sampleRate);
+    var end = Math.min(buffer.length, Math.round(loop.end * buffer.sampleRate));
+    var length = Math.min(Math.round(loopCrossfadeTime * buffer.sampleRate), Math.floor((end - start) / 2), start);
+    if (length < 2) return buffer;
+    var from = end - length;
+    var original = [];
+    for (var ch = 0; ch < buffer.numberOfChannels; ch++) {
+      var data = buffer.getChannelData(ch);
+      original.push(data.slice(from, end));
+      for (var i = 0; i < length; i++) {
+        // Reaches the frame just before loopStart on the last loop frame, so the wrap continues the waveform
+        var t = (i + 1) / length * Math.PI / 2;
+        data[from + i] = data[from + i] * Math.cos(t) + data[start - length + i] * Math.sin(t);
+      }
+    }
+    buffer._loopCrossfade = { from: from, original: original };
+    return buffer;
+  }
+
+  /**
+   * Set the loop crossfade length (seconds, 0 = off) for samples decoded from now on;
+   * with ctx, also redo the loops of every sample already loaded on that context.
+   */
+  function setLoopCrossfadeTime(seconds, ctx) {
+    loopCrossfadeTime = Math.max(0, Math.min(MAX_LOOP_CROSSFADE_TIME, Number(seconds) || 0));
+    if (!ctx) return;
+    Object.keys(gslZonesCache).forEach(function (id) {
+      (gslZonesCache[id] || []).forEach(function (z) {
+        var buf = getZoneBuffer(z, ctx);
+        if (buf) crossfadeZoneLoop(z, buf);
+      });
+    });
+  }
+
+  /**
+   * Unload a preset's decoded samples on ctx (and the worklet voice engine's copies of them) to free memory;
+   * ensurePresetLoaded decodes them again on next use. Zones themselves stay registered.
+   */
+  function unloadPreset(presetName, ctx) {
+    var preset = getPreset(presetName);
+    if (!preset || !ctx) return;
+    preset.zones.forEach(function (z) {
+      var buf = getZoneBuffer(z, ctx);
+      if (!buf) return;
+      if (window.GslWorkletEngine) window.GslWorkletEngine.freeBuffer(buf);
+      bufferMap(z).delete(ctx);
+    });
+  }
+
+  /** Byte offset of a WAV chunk's data (chunkId as big-endian uint32), or -1 if not a WAV or missing */
+  function findWavChunk(view, chunkId) {
+    if (view.byteLength < 12 || view.getUint32(0, false) !== 0x52494646 || view.getUint32(8, false) !== 0x57415645) return -1;
+    var pos = 12;
+    while (pos + 8 <= view.byteLength) {
+      var size = view.getUint32(pos + 4, true);
+      if (view.getUint32(pos, false) === chunkId) return pos + 8;
+      pos += 8 + size + (size & 1);
+    }
+    return -1;
+  }
+
+  /** Sample rate from a WAV file's fmt chunk (0 if not a WAV) */
+  function readWavSampleRate(arrayBuffer) {
+    var view = new DataView(arrayBuffer);
+    var fmt = findWavChunk(view, 0x666d7420);
+    return fmt !== -1 && fmt + 8 <= view.byteLength ? view.getUint32(fmt + 4, true) : 0;
+  }
+
+  /** First loop of a WAV file's smpl chunk as { start, end } frames (end exclusive), or null */
+  function readWavLoopFrames(arrayBuffer) {
+    var view = new DataView(arrayBuffer);
+    var smpl = findWavChunk(view, 0x736d706c);
+    if (smpl === -1 || smpl + 60 > view.byteLength || view.getUint32(smpl + 28, true) < 1) return null;
+    var start = view.getUint32(smpl + 44, true);
+    var end = view.getUint32(smpl + 48, true) + 1; // smpl loop end is inclusive
+    return end > start + 1 ? { start: start, end: end } : null;
+  }
+
   function loadPreset(ctx, presetName, baseUrl) {
     var preset = getPreset(presetName);
     if (!preset || !preset.zones) return Promise.resolve();
@@ -102,6 +401,40 @@
     var base = (baseUrl || '').replace(/\/[^/]*$/, '/');
     var pathPrefix = basePath.replace(/\/$/, '').split('/').pop();
     return Promise.all(zones.map(function (z) {
+      if (z.sampleData) {
+        if (!bufferMap(z).has(ctx)) bufferMap(z).set(ctx, crossfadeZoneLoop(z, createZoneBuffer(ctx, z.sampleData)));
+        return Promise.resolve();
+      }
+      if (z.sampleFile) {
+        if (bufferMap(z).has(ctx)) return Promise.resolve();
+        return z.sampleFile.arrayBuffer().then(function (ab) {
+          if (z.loopFromFile) {
+            // SFZ region looping by the WAV's own loop (no loop_mode, or no loop_start/loop_end):
+            // without an smpl loop it plays through; loop_start/loop_end override the file's points
+            var fileLoop = readWavLoopFrames(ab);
+            if (!fileLoop) {
+              z.loop = false;
+              z.loopStartFrame = null;
+              z.loopEndFrame = null;
+            } else if (z.loopStartFrame == null) {
+              z.loopStartFrame = fileLoop.start;
+              z.loopEndFrame = fileLoop.end;
+            }
+            z.loopFromFile = false;
+          }
+          if (z.loopStartFrame != null) {
+            // Loop points are in frames of the original file; decoding may resample
+            var rate = readWavSampleRate(ab);
+            if (rate) {
+              z.loopStart = z.loopStartFrame / rate;
+              z.loopEnd = z.loopEndFrame / rate;
+            }
+          }
+          return ctx.decodeAudioData(ab);
+        }).then(function (buf) { bufferMap(z).set(ctx, crossfadeZoneLoop(z, buf)); }).catch(function (err) {
+          return Promise.reject(new Error('Sample load failed (' + presetName + '): ' + (err && err.message ? err.message : String(err))));
+        });
+      }
       var filePath = z.file || '';
       if (pathPrefix && filePath.indexOf(pathPrefix + '/') === 0) filePath = filePath.slice((pathPrefix + '/').length);
       var url = base + basePath + filePath;
@@ -111,7 +444,7 @@
           return r.arrayBuffer();
         })
         .then(function (ab) { return ctx.decodeAudioData(ab); })
-        .then(function (buf) { bufferMap(z).set(ctx, buf); })
+        .then(function (buf) { bufferMap(z).set(ctx, crossfadeZoneLoop(z, buf)); })
         .catch(function (err) {
           return Promise.reject(new Error('Sample load failed (' + presetName + '): ' + (err && err.message ? err.message : String(err))));
         });
@@ -128,14 +461,57 @@
     return loadPreset(ctx, presetName, baseUrl);
   }
 
+  /**
+   * Register presets that are not in the GSL folder (e.g. parsed SoundFonts) as GSL presets.
+   * entries: [{ slug (gsl_ prefix), id (namespaced, e.g. sf2:<file>:BBB_PPP_Name), label, zones, bank, program,
+   * naturalDecay }]; zones may carry sampleData instead of file. They are added to the manifest, so the grid and
+   * program change see them, and their overlapping key ranges sound together (see getZonesForMidi). An id or slug that is already taken (a built-in preset, or the same font loaded
+   * twice) gets a numbered suffix instead of replacing the existing zones; entries are updated to the final names.
+   */
+  function registerPresets(entries) {
+    return ensureGslManifest().catch(function () {
+      gslManifest = gslManifest || [];
+      return gslManifest;
+    }).then(function (list) {
+      entries.forEach(function (entry) {
+        var baseId = entry.id;
+        var baseSlug = entry.slug;
+        for (var n = 2; gslEntryById[entry.id] || gslSlugToId[entry.slug] || gslZonesCache[entry.id]; n++) {
+          entry.id = baseId + ' #' + n;
+          entry.slug = baseSlug + '_' + n;
+        }
+        var manifestEntry = { slug: entry.slug, id: entry.id, label: entry.label };
+        if (entry.bank != null) manifestEntry.bank = entry.bank;
+        if (entry.program != null) manifestEntry.program = entry.program;
+        if (entry.naturalDecay) manifestEntry.naturalDecay = entry.naturalDecay;
+        manifestEntry.layerZones = true; // overlapping regions sound together (SoundFont/SFZ)
+        list.push(manifestEntry);
+        gslSlugToId[entry.slug] = entry.id;
+        gslEntryById[entry.id] = manifestEntry;
+        gslZonesCache[entry.id] = entry.zones;
+        (function (capturedId) {
+          registry[entry.slug] = function () { return getGslPresetConfig(capturedId); };
+        })(entry.id);
+      });
+      return list;
+    });
+  }
+
   window.InstrumentSampleHandler = {
     getPreset: getPreset,
     getZoneForMidi: getZoneForMidi,
+    getZonesForMidi: getZonesForMidi,
     getZoneBuffer: getZoneBuffer,
+    getZoneLoop: getZoneLoop,
+    setLoopCrossfadeTime: setLoopCrossfadeTime,
+    getLoopCrossfadeTime: function () { return loopCrossfadeTime; },
+    getPresetEnvelope: getPresetEnvelope,
     loadPreset: loadPreset,
     ensurePresetLoaded: ensurePresetLoaded,
+    unloadPreset: unloadPreset,
     getGslManifest: function () { return gslManifest; },
     ensureGslManifest: ensureGslManifest,
+    registerPresets: registerPresets,
     isGslPreset: isGslPreset
   };
 })();
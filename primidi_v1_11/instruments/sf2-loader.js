@@ -0,0 +1,327 @@
+/**
+ * SoundFont 2 loader for PriMIDI 3D piano.
+ * Parses .sf2 files in the browser (RIFF chunks, presets, instruments, sample headers, generators)
+ * and registers every preset with InstrumentSampleHandler as a GSL-style preset (zones with
+ * key/velocity ranges, loop points, root key and tuning, volume envelope), so it shows up in the instrument grid.
+ */
+(function () {
+  'use strict';
+
+  // SF2 generator numbers (SoundFont 2.04, section 8.1.2)
+  var GEN = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    attackVolEnv: 34,
+    holdVolEnv: 35,
+    decayVolEnv: 36,
+    sustainVolEnv: 37,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    exclusiveClass: 57,
+    overridingRootKey: 58
+  };
+  var RANGE_GENS = [GEN.keyRange, GEN.velRange];
+  // Generators that only make sense at instrument level (never summed from the preset)
+  var INSTRUMENT_ONLY_GENS = [0, 1, 2, 3, 4, 12, 45, 50, GEN.sampleID, GEN.sampleModes, GEN.exclusiveClass, GEN.overridingRootKey];
+  var GEN_DEFAULTS = {};
+  GEN_DEFAULTS[GEN.attackVolEnv] = -12000;
+  GEN_DEFAULTS[GEN.holdVolEnv] = -12000;
+  GEN_DEFAULTS[GEN.decayVolEnv] = -12000;
+  GEN_DEFAULTS[GEN.releaseVolEnv] = -12000;
+  GEN_DEFAULTS[GEN.overridingRootKey] = -1;
+
+  var SAMPLE_TYPE_RIGHT = 2;
+  var MIN_ENVELOPE_TIME = 0.001;
+  var MAX_ENVELOPE_TIME = 20;
+
+  function readString(view, offset, length) {
+    var s = '';
+    for (var i = 0; i < length; i++) {
+      var c = view.getUint8(offset + i);
+      if (c === 0) break;
+      s += String.fromCharCode(c);
+    }
+    return s.trim();
+  }
+
+  /** Read RIFF sub-chunks between start and end: { id: { offset, size } } (LIST chunks keyed by list type) */
+  function readChunks(view, start, end) {
+    var chunks = {};
+    var pos = start;
+    while (pos + 8 <= end) {
+      var id = readString(view, pos, 4);
+      var size = view.getUint32(pos + 4, true);
+      var dataStart = pos + 8;
+      if (id === 'LIST') {
+        chunks[readString(view, dataStart, 4)] = { offset: dataStart + 4, size: size - 4 };
+      } else {
+        chunks[id] = { offset: dataStart, size: size };
+      }
+      pos = dataStart + size + (size & 1);
+    }
+    return chunks;
+  }
+
+  function readRecords(view, chunk, recordSize, readRecord) {
+    var out = [];
+    if (!chunk) return out;
+    var count = Math.floor(chunk.size / recordSize);
+    for (var i = 0; i < count; i++) out.push(readRecord(chunk.offset + i * recordSize));
+    return out;
+  }
+
+  /** Generators per bag: [{ gen: amount }] where ranges are { lo, hi } and everything else a signed 16-bit value */
+  function readZones(bags, gens) {
+    var zones = [];
+    for (var b = 0; b < bags.length - 1; b++) {
+      var zone = {};
+      for (var g = bags[b].genIndex; g < bags[b + 1].genIndex && g < gens.length; g++) {
+        var gen = gens[g];
+        zone[gen.oper] = RANGE_GENS.indexOf(gen.oper) !== -1 ? { lo: gen.lo, hi: gen.hi } : gen.amount;
+      }
+      zones.push(zone);
+    }
+    return zones;
+  }
+
+  /**
+   * Parse an SF2 file.
+   * Returns { name, presets: [{ name, bank, program, zones: [{ generators }] }], instruments, samples, sampleData }.
+   */
+  function parseSoundFont(arrayBuffer) {
+    var view = new DataView(arrayBuffer);
+    if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'sfbk') throw new Error('Not a SoundFont 2 file');
+    var top = readChunks(view, 12, Math.min(arrayBuffer.byteLength, 8 + view.getUint32(4, true)));
+    if (!top.sdta || !top.pdta) throw new Error('SoundFont is missing sample or preset data');
+
+    var info = top.INFO ? readChunks(view, top.INFO.offset, top.INFO.offset + top.INFO.size) : {};
+    var sdta = readChunks(view, top.sdta.offset, top.sdta.offset + top.sdta.size);
+    var pdta = readChunks(view, top.pdta.offset, top.pdta.offset + top.pdta.size);
+    if (!sdta.smpl) throw new Error('SoundFont has no smpl chunk');
+
+    var smpl = sdta.smpl.offset % 2 === 0
+      ? new Int16Array(arrayBuffer, sdta.smpl.offset, sdta.smpl.size >> 1)
+      : new Int16Array(arrayBuffer.slice(sdta.smpl.offset, sdta.smpl.offset + sdta.smpl.size));
+    var sm24 = (sdta.sm24 && sdta.sm24.size >= (sdta.smpl.size >> 1)) ? new Uint8Array(arrayBuffer, sdta.sm24.offset, sdta.sm24.size) : null;
+
+    function readBag(offset) { return { genIndex: view.getUint16(offset, true) }; }
+    function readGen(offset) {
+      return {
+        oper: view.getUint16(offset, true),
+        amount: view.getInt16(offset + 2, true),
+        lo: view.getUint8(offset + 2),
+        hi: view.getUint8(offset + 3)
+      };
+    }
+
+    var phdr = readRecords(view, pdta.phdr, 38, function (o) {
+      return { name: readString(view, o, 20), program: view.getUint16(o + 20, true), bank: view.getUint16(o + 22, true), bagIndex: view.getUint16(o + 24, true) };
+    });
+    var inst = readRecords(view, pdta.inst, 22, function (o) {
+      return { name: readString(view, o, 20), bagIndex: view.getUint16(o + 20, true) };
+    });
+    var shdr = readRecords(view, pdta.shdr, 46, function (o) {
+      return {
+        name: readString(view, o, 20),
+        start: view.getUint32(o + 20, true),
+        end: view.getUint32(o + 24, true),
+        startLoop: view.getUint32(o + 28, true),
+        endLoop: view.getUint32(o + 32, true),
+        sampleRate: view.getUint32(o + 36, true),
+        originalPitch: view.getUint8(o + 40),
+        pitchCorrection: view.getInt8(o + 41),
+        link: view.getUint16(o + 42, true),
+        type: view.getUint16(o + 44, true)
+      };
+    });
+    var presetZones = readZones(readRecords(view, pdta.pbag, 4, readBag), readRecords(view, pdta.pgen, 4, readGen));
+    var instrumentZones = readZones(readRecords(view, pdta.ibag, 4, readBag), readRecords(view, pdta.igen, 4, readGen));
+
+    // The last phdr/inst/shdr records are terminators (EOP / EOI / EOS)
+    var instruments = inst.slice(0, -1).map(function (record, i) {
+      return { name: record.name, zones: instrumentZones.slice(record.bagIndex, inst[i + 1].bagIndex) };
+    });
+    var presets = phdr.slice(0, -1).map(function (record, i) {
+      return { name: record.name, bank: record.bank, program: record.program, zones: presetZones.slice(record.bagIndex, phdr[i + 1].bagIndex) };
+    });
+
+    return {
+      name: info.INAM ? readString(view, info.INAM.offset, info.INAM.size) : '',
+      presets: presets,
+      instruments: instruments,
+      samples: shdr.slice(0, -1),
+      sampleData: { smpl: smpl, sm24: sm24 }
+    };
+  }
+
+  function timecentsToSeconds(tc) {
+    return Math.max(MIN_ENVELOPE_TIME, Math.min(MAX_ENVELOPE_TIME, Math.pow(2, tc / 1200)));
+  }
+
+  function intersectRange(a, b) {
+    var lo = Math.max(a ? a.lo : 0, b ? b.lo : 0);
+    var hi = Math.min(a ? a.hi : 127, b ? b.hi : 127);
+    return lo <= hi ? { lo: lo, hi: hi } : null;
+  }
+
+  /** Split a zone list into its global zone (no terminal generator) and the rest */
+  function splitGlobalZone(zones, terminalGen) {
+    if (zones.length && zones[0][terminalGen] == null) return { global: zones[0], zones: zones.slice(1) };
+    return { global: {}, zones: zones };
+  }
+
+  /**
+   * Flatten one preset into PriMIDI zones (instrument values absolute, preset values added on top).
+   */
+  function buildPresetZones(font, preset) {
+    var out = [];
+    var pSplit = splitGlobalZone(preset.zones, GEN.instrument);
+    pSplit.zones.forEach(function (pz) {
+      var instrument = font.instruments[pz[GEN.instrument]];
+      if (!instrument) return;
+      var pGens = Object.assign({}, pSplit.global, pz);
+      var iSplit = splitGlobalZone(instrument.zones, GEN.sampleID);
+      var usedSamples = iSplit.zones.map(function (iz) { return iz[GEN.sampleID]; });
+
+      iSplit.zones.forEach(function (iz) {
+        var sample = font.samples[iz[GEN.sampleID]];
+        if (!sample) return;
+        // Stereo pairs: keep the left sample (the engine plays mono zones)
+        if ((sample.type & SAMPLE_TYPE_RIGHT) && usedSamples.indexOf(sample.link) !== -1) return;
+
+        var gens = Object.assign({}, GEN_DEFAULTS, iSplit.global, iz);
+        var keyRange = intersectRange(gens[GEN.keyRange], pGens[GEN.keyRange]);
+        var velRange = intersectRange(gens[GEN.velRange], pGens[GEN.velRange]);
+        if (!keyRange || !velRange) return;
+        Object.keys(pGens).forEach(function (key) {
+          var oper = parseInt(key, 10);
+          if (RANGE_GENS.indexOf(oper) !== -1 || INSTRUMENT_ONLY_GENS.indexOf(oper) !== -1 || oper === GEN.instrument) return;
+          gens[oper] = (gens[oper] || 0) + pGens[oper];
+        });
+
+        var start = sample.start + (gens[GEN.startAddrsOffset] || 0) + (gens[GEN.startAddrsCoarseOffset] || 0) * 32768;
+        var end = sample.end + (gens[GEN.endAddrsOffset] || 0) + (gens[GEN.endAddrsCoarseOffset] || 0) * 32768;
+        var loopStart = sample.startLoop + (gens[GEN.startloopAddrsOffset] || 0) + (gens[GEN.startloopAddrsCoarseOffset] || 0) * 32768;
+        var loopEnd = sample.endLoop + (gens[GEN.endloopAddrsOffset] || 0) + (gens[GEN.endloopAddrsCoarseOffset] || 0) * 32768;
+        if (end <= start || !sample.sampleRate) return;
+
+        var rootKey = gens[GEN.overridingRootKey] >= 0 ? gens[GEN.overridingRootKey] : (sample.originalPitch > 127 ? 60 : sample.originalPitch);
+        var sustainCb = Math.max(0, Math.min(1440, gens[GEN.sustainVolEnv] || 0));
+        var mode = gens[GEN.sampleModes] || 0;
+        var looped = (mode === 1 || mode === 3) && loopEnd > loopStart;
+
+        var zone = {
+          keyLow: keyRange.lo,
+          keyHigh: keyRange.hi,
+          velLow: velRange.lo,
+          velHigh: velRange.hi,
+          originalPitchCents: rootKey * 100 - (gens[GEN.coarseTune] || 0) * 100 - (gens[GEN.fineTune] || 0) - sample.pitchCorrection,
+          loop: looped,
+          loopStart: looped ? (loopStart - start) / sample.sampleRate : undefined,
+          loopEnd: looped ? (loopEnd - start) / sample.sampleRate : undefined,
+          attack: timecentsToSeconds(gens[GEN.attackVolEnv]),
+          // decayVolEnv is the time for a full 100 dB fall; the engine ramps straight to sustain
+          decay: Math.max(MIN_ENVELOPE_TIME, timecentsToSeconds(gens[GEN.decayVolEnv]) * Math.min(1, sustainCb / 1000)),
+          sustain: Math.pow(10, -sustainCb / 200),
+          release: timecentsToSeconds(gens[GEN.releaseVolEnv]),
+          gain: Math.pow(10, -Math.max(0, gens[GEN.initialAttenuation] || 0) / 200),
+          sampleData: { source: font.sampleData, start: start, end: end, sampleRate: sample.sampleRate }
+        };
+        // Exclusive class: a new note in the class cuts the others (open/closed hi-hat)
+        if (gens[GEN.exclusiveClass]) zone.chokeGroup = 'sf2_' + gens[GEN.exclusiveClass];
+        out.push(zone);
+      });
+    });
+    return out;
+  }
+
+  function pad3(n) {
+    return ('00' + n).slice(-3);
+  }
+
+  function toSlugPart(text) {
+    return String(text || '').toLowerCase().replace(/\.sf2$/, '').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'font';
+  }
+
+  /**
+   * Parse an SF2 file and register its presets with InstrumentSampleHandler.
+   * source: File/Blob or ArrayBuffer; name: file name (used for slugs and labels).
+   * Resolves with the registered manifest entries.
+   */
+  function loadSoundFont(source, name) {
+    var handler = window.InstrumentSampleHandler;
+    if (!handler || !handler.registerPresets) return Promise.reject(new Error('InstrumentSampleHandler is not ready'));
+    var read = (source && typeof source.arrayBuffer === 'function') ? source.arrayBuffer() : Promise.resolve(source);
+    var fileName = name || (source && source.name) || 'SoundFont';
+    return read.then(function (arrayBuffer) {
+      var font = parseSoundFont(arrayBuffer);
+      var fontLabel = font.name || fileName.replace(/\.sf2$/i, '');
+      var fontSlug = toSlugPart(fileName);
+      var entries = [];
+      font.presets.forEach(function (preset) {
+        var zones = buildPresetZones(font, preset);
+        if (!zones.length) return;
+        entries.push({
+          slug: 'gsl_sf2_' + fontSlug + '_' + preset.bank + '_' + preset.program,
+          // Namespaced by font so it never matches a GSL folder id (BBB_PPP_Name) or another font's preset
+          id: 'sf2:' + fileName + ':' + pad3(preset.bank) + '_' + pad3(preset.program) + '_' + preset.name,
+          label: preset.name + ' (' + fontLabel + ')',
+          bank: preset.bank,
+          program: preset.program,
+          zones: zones
+        });
+      });
+      if (!entries.length) throw new Error('No playable presets in ' + fileName);
+      return handler.registerPresets(entries).then(function () {
+        console.log('SoundFont loaded: ' + fileName + ', ' + entries.length + ' presets');
+        if (window.refreshInstrumentGrid) window.refreshInstrumentGrid();
+        return entries;
+      });
+    });
+  }
+
+  function isSoundFontFile(file) {
+    return file && /\.sf2$/i.test(file.name || '');
+  }
+
+  function setupFileDrop() {
+    window.addEventListener('dragover', function (e) {
+      if (e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') !== -1) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      }
+    });
+    window.addEventListener('drop', function (e) {
+      var files = e.dataTransfer ? Array.prototype.slice.call(e.dataTransfer.files || []) : [];
+      var fonts = files.filter(isSoundFontFile);
+      if (!fonts.length) return;
+      e.preventDefault();
+      fonts.forEach(function (file) {
+        loadSoundFont(file, file.name).catch(function (err) {
+          console.error('SoundFont load failed:', err);
+        });
+      });
+    });
+  }
+
+  if (typeof window.addEventListener === 'function') setupFileDrop();
+
+  window.SoundFontLoader = {
+    parse: parseSoundFont,
+    buildPresetZones: buildPresetZones,
+    load: loadSoundFont
+  };
+})();
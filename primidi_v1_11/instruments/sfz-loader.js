@@ -0,0 +1,231 @@
+/**
+ * SFZ loader for PriMIDI 3D piano.
+ * Parses .sfz instruments (control/global/master/group/region headers) from a user-selected folder
+ * and registers them with InstrumentSampleHandler using the same zone model as GSL presets.
+ * Referenced WAVs are decoded from the selected files; nothing is uploaded.
+ */
+(function () {
+  'use strict';
+
+  var HEADER_LEVELS = { control: 0, global: 1, master: 2, group: 3, region: 4 };
+  var NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+  var MIN_ENVELOPE_TIME = 0.001;
+
+  /** Key opcode value: MIDI number or note name (c4 = 60, c#4 / db4 accepted) */
+  function parseKey(value) {
+    if (value == null) return null;
+    var text = String(value).trim().toLowerCase();
+    if (/^-?\d+$/.test(text)) return parseInt(text, 10);
+    var m = text.match(/^([a-g])(#|b)?(-?\d+)$/);
+    if (!m) return null;
+    var semitone = NOTE_OFFSETS[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+    return (parseInt(m[3], 10) + 1) * 12 + semitone;
+  }
+
+  function number(value, fallback) {
+    var n = parseFloat(value);
+    return isNaN(n) ? fallback : n;
+  }
+
+  /**
+   * Parse SFZ text into regions with inherited opcodes: [{ opcode: value }].
+   * Supports comments, #define variables and sample paths with spaces.
+   */
+  function parseSfz(text) {
+    var defines = {};
+    var body = String(text)
+      .replace(/\/\*[\s\S]*?\*\//g, ' ')
+      .replace(/\/\/[^\n]*/g, '')
+      .replace(/^\s*#define\s+(\$\w+)\s+(\S+)\s*$/gm, function (all, name, value) {
+        defines[name] = value;
+        return '';
+      })
+      .replace(/^\s*#include[^\n]*/gm, function (line) {
+        console.warn('SFZ: #include is not supported (' + line.trim() + ')');
+        return '';
+      });
+    Object.keys(defines).sort(function (a, b) { return b.length - a.length; }).forEach(function (name) {
+      body = body.split(name).join(defines[name]);
+    });
+
+    var scopes = [{}, {}, {}, {}]; // control, global, master, group
+    var regions = [];
+    var current = null;
+    var currentLevel = -1;
+    // Headers, and opcodes whose value runs until the next opcode or header (sample paths may contain spaces)
+    var tokenRe = /<(\w+)>|([\w$]+)=([\s\S]*?)(?=\s+[\w$]+=|\s*<\w+>|\s*$)/g;
+    var m;
+
+    function flushRegion() {
+      if (current && currentLevel === HEADER_LEVELS.region) {
+        regions.push(Object.assign({}, scopes[0], scopes[1], scopes[2], scopes[3], current));
+      }
+    }
+
+    while ((m = tokenRe.exec(body)) !== null) {
+      if (m[1]) {
+        flushRegion();
+        var level = HEADER_LEVELS[m[1].toLowerCase()];
+        if (level == null) {
+          current = {}; // unknown header (<curve>, <effect>, ...): ignore its opcodes
+          currentLevel = -1;
+          continue;
+        }
+        // A new header resets its own scope and everything below it
+        for (var l = level; l < scopes.length; l++) scopes[l] = {};
+        current = level < HEADER_LEVELS.region ? scopes[level] : {};
+        currentLevel = level;
+      } else if (current) {
+        current[m[2].toLowerCase()] = m[3].trim();
+      }
+    }
+    flushRegion();
+    return regions;
+  }
+
+  /** Convert one parsed region to a zone (sampleFile is resolved by the caller) */
+  function regionToZone(region) {
+    var key = parseKey(region.key);
+    var keyLow = parseKey(region.lokey);
+    var keyHigh = parseKey(region.hikey);
+    var center = parseKey(region.pitch_keycenter);
+    if (key != null) {
+      if (keyLow == null) keyLow = key;
+      if (keyHigh == null) keyHigh = key;
+      if (center == null) center = key;
+    }
+    if (keyLow == null) keyLow = 0;
+    if (keyHigh == null) keyHigh = 127;
+    if (center == null) center = 60;
+
+    var loopMode = region.loop_mode || region.loopmode || '';
+    var loopStart = region.loop_start != null ? region.loop_start : region.loopstart;
+    var loopEnd = region.loop_end != null ? region.loop_end : region.loopend;
+    var looped = loopMode === 'loop_continuous' || loopMode === 'loop_sustain';
+    // Without loop_mode the region loops if its WAV has an smpl loop (decided when the sample loads)
+    var loopUnset = !loopMode;
+    var oneShot = loopMode === 'one_shot';
+    var volumeDb = number(region.volume, 0);
+    var amplitude = number(region.amplitude, 100) / 100;
+
+    var zone = {
+      keyLow: keyLow,
+      keyHigh: keyHigh,
+      velLow: number(region.lovel, 0),
+      velHigh: number(region.hivel, 127),
+      originalPitchCents: center * 100 - number(region.tune, 0) - number(region.transpose, 0) * 100,
+      loop: looped || loopUnset,
+      attack: Math.max(MIN_ENVELOPE_TIME, number(region.ampeg_attack, 0)),
+      decay: Math.max(MIN_ENVELOPE_TIME, number(region.ampeg_decay, 0)),
+      sustain: Math.max(0, Math.min(1, number(region.ampeg_sustain, 100) / 100)),
+      release: Math.max(MIN_ENVELOPE_TIME, number(region.ampeg_release, MIN_ENVELOPE_TIME)),
+      gain: Math.pow(10, volumeDb / 20) * amplitude
+    };
+    // Loop points are in sample frames; converted to seconds once the file's sample rate is known.
+    // loop_end is inclusive. Without loop points the WAV's smpl loop is used (no loop if it has none).
+    if ((looped || loopUnset) && loopStart != null && loopEnd != null) {
+      zone.loopStartFrame = number(loopStart, 0);
+      zone.loopEndFrame = number(loopEnd, 0) + 1;
+    }
+    if (loopUnset || (looped && zone.loopStartFrame == null)) zone.loopFromFile = true;
+    if (oneShot) zone.oneShot = true;
+    // group / off_by: a region is cut when a region of its off_by group starts
+    if (region.group != null && region.group !== '0') zone.chokeGroup = 'sfz_' + region.group;
+    if (region.off_by != null || zone.chokeGroup) zone.chokedBy = region.off_by != null ? 'sfz_' + region.off_by : null;
+    if (region.trigger === 'release') zone.trigger = 'release';
+    if (region.seq_length != null && number(region.seq_length, 1) > 1) zone.roundRobin = number(region.seq_position, 1) - 1;
+    return zone;
+  }
+
+  function normalizePath(path) {
+    var parts = [];
+    path.replace(/\\/g, '/').split('/').forEach(function (part) {
+      if (!part || part === '.') return;
+      if (part === '..') parts.pop();
+      else parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  function fileKey(file) {
+    return normalizePath(file.webkitRelativePath || file.name).toLowerCase();
+  }
+
+  function toSlugPart(text) {
+    return String(text || '').toLowerCase().replace(/\.sfz$/, '').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'instrument';
+  }
+
+  /**
+   * Load every .sfz in a set of files (from a folder picker) and register them as presets.
+   * Resolves with the registered manifest entries.
+   */
+  function loadSfzFiles(fileList) {
+    var handler = window.InstrumentSampleHandler;
+    if (!handler || !handler.registerPresets) return Promise.reject(new Error('InstrumentSampleHandler is not ready'));
+    var files = Array.prototype.slice.call(fileList || []);
+    var byPath = {};
+    files.forEach(function (file) { byPath[fileKey(file)] = file; });
+    var sfzFiles = files.filter(function (file) { return /\.sfz$/i.test(file.name); });
+    if (!sfzFiles.length) return Promise.reject(new Error('No .sfz file in the selected folder'));
+
+    return Promise.all(sfzFiles.map(function (sfzFile) {
+      return sfzFile.text().then(function (text) {
+        var sfzPath = fileKey(sfzFile);
+        var dir = sfzPath.indexOf('/') !== -1 ? sfzPath.slice(0, sfzPath.lastIndexOf('/') + 1) : '';
+        var zones = [];
+        var missing = 0;
+        parseSfz(text).forEach(function (region) {
+          if (!region.sample || region.sample.charAt(0) === '*') return; // generated waveforms (*sine, ...) are not supported
+          var samplePath = normalizePath(dir + (region.default_path || '') + region.sample).toLowerCase();
+          var sampleFile = byPath[samplePath];
+          if (!sampleFile) {
+            missing += 1;
+            return;
+          }
+          var zone = regionToZone(region);
+          zone.sampleFile = sampleFile;
+          zones.push(zone);
+        });
+        if (missing) console.warn('SFZ ' + sfzFile.name + ': ' + missing + ' regions reference samples that are not in the folder');
+        if (!zones.length) return null;
+        var name = sfzFile.name.replace(/\.sfz$/i, '');
+        return {
+          slug: 'gsl_sfz_' + toSlugPart(sfzPath),
+          id: 'sfz_' + name,
+          label: name + ' (SFZ)',
+          zones: zones
+        };
+      });
+    })).then(function (results) {
+      var entries = results.filter(Boolean);
+      if (!entries.length) throw new Error('No playable SFZ regions found');
+      return handler.registerPresets(entries).then(function () {
+        console.log('SFZ loaded: ' + entries.length + ' instruments');
+        if (window.refreshInstrumentGrid) window.refreshInstrumentGrid();
+        return entries;
+      });
+    });
+  }
+
+  /** Ask the user for a folder and import the SFZ instruments in it */
+  function openSfzFolderDialog() {
+    var input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.setAttribute('webkitdirectory', '');
+    input.addEventListener('change', function () {
+      if (!input.files || !input.files.length) return;
+      loadSfzFiles(input.files).catch(function (err) {
+        console.error('SFZ import failed:', err);
+      });
+    });
+    input.click();
+  }
+
+  window.SfzLoader = {
+    parse: parseSfz,
+    regionToZone: regionToZone,
+    loadFiles: loadSfzFiles,
+    openFolderDialog: openSfzFolderDialog
+  };
+})();
@@ -76,7 +76,33 @@
                 <div class="keyboard-visual-setting-item">
                     <label>
                         <input type="checkbox" id="enable-midi-input" checked>
-                        <div><strong>MIDI input</strong></div>
+                        <div>
+                            <strong>MIDI input</strong>
+                            <button type="button" class="keyboard-visual-settings-menu camera-help-btn" id="midi-routing-settings-btn" aria-label="MIDI routing">?</button>
+                        </div>
+                    </label>
+                </div>
+                <div class="keyboard-visual-setting-item">
+                    <label>
+                        <input type="checkbox" id="enable-midi-program-change" checked>
+                        <div><strong>Program change</strong></div>
+                    </label>
+                </div>
+                <div class="keyboard-visual-setting-item">
+                    <label>
+                        <div>
+                            <strong>MIDI file</strong>
+                            <button type="button" class="midi-file-open-btn" id="midi-file-open-btn">Open…</button>
+                        </div>
+                    </label>
+                </div>
+                <div class="keyboard-visual-setting-item">
+                    <label>
+                        <div>
+                            <strong>Recorder</strong>
+                            <button type="button" class="midi-file-open-btn" id="midi-record-btn">● Rec</button>
+                            <button type="button" class="midi-file-open-btn" id="midi-takes-btn">Takes</button>
+                        </div>
                     </label>
                 </div>
                 <div class="keyboard-visual-setting-item">
@@ -259,6 +285,17 @@
             });
         }
         
+        // MIDI routing settings button
+        const midiRoutingSettingsBtn = document.getElementById('midi-routing-settings-btn');
+        if (midiRoutingSettingsBtn) {
+            midiRoutingSettingsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.openMidiRoutingSettings) {
+                    window.openMidiRoutingSettings();
+                }
+            });
+        }
+        
         // MIDI input toggle
         const midiInputCheckbox = document.getElementById('enable-midi-input');
         if (midiInputCheckbox) {
@@ -274,6 +311,47 @@
             });
         }
         
+        // MIDI file open button
+        const midiFileOpenBtn = document.getElementById('midi-file-open-btn');
+        if (midiFileOpenBtn) {
+            midiFileOpenBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.openMidiFileDialog) {
+                    window.openMidiFileDialog();
+                }
+            });
+        }
+        
+        // Recorder buttons
+        const midiRecordBtn = document.getElementById('midi-record-btn');
+        if (midiRecordBtn) {
+            midiRecordBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.toggleMidiRecording) {
+                    window.toggleMidiRecording();
+                }
+            });
+        }
+        const midiTakesBtn = document.getElementById('midi-takes-btn');
+        if (midiTakesBtn) {
+            midiTakesBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.openMidiTakes) {
+                    window.openMidiTakes();
+                }
+            });
+        }
+        
+        // Program change toggle
+        const programChangeCheckbox = document.getElementById('enable-midi-program-change');
+        if (programChangeCheckbox) {
+            programChangeCheckbox.addEventListener('change', (e) => {
+                window.midiProgramChangeSettings = window.midiProgramChangeSettings || {};
+                window.midiProgramChangeSettings.enabled = e.target.checked;
+                updateUI();
+            });
+        }
+        
         // Keypress input toggle
         const keypressInputCheckbox = document.getElementById('enable-keypress-input');
         if (keypressInputCheckbox) {
@@ -669,6 +747,7 @@
         const movementCheckbox = document.getElementById('enable-key-movement');
         const labelsCheckbox = document.getElementById('enable-key-labels');
         const midiInputCheckbox = document.getElementById('enable-midi-input');
+        const programChangeCheckbox = document.getElementById('enable-midi-program-change');
         const keypressInputCheckbox = document.getElementById('enable-keypress-input');
         const midiDebugCheckbox = document.getElementById('enable-midi-debug');
         
@@ -684,6 +763,9 @@
         if (midiInputCheckbox && window.isMidiInputEnabled) {
             midiInputCheckbox.checked = window.isMidiInputEnabled();
         }
+        if (programChangeCheckbox) {
+            programChangeCheckbox.checked = !window.midiProgramChangeSettings || window.midiProgramChangeSettings.enabled !== false;
+        }
         if (keypressInputCheckbox && window.isKeypressInputEnabled) {
             keypressInputCheckbox.checked = window.isKeypressInputEnabled();
         }
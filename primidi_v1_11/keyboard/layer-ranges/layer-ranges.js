@@ -0,0 +1,169 @@
+/**
+ * Layer Ranges Module
+ * Per-layer key ranges (keyboard splits): editing window.gslSlotKeyRanges, learning a boundary
+ * from the next played key, and colored strips behind the 3D keys showing each layer's range
+ */
+
+(function() {
+    'use strict';
+
+    // Settings
+    window.layerRangeSettings = window.layerRangeSettings || {
+        showOverlay: true // Colored strip per loaded layer behind the keys
+    };
+
+    const FIRST_KEY = 21; // A0
+    const LAST_KEY = 108; // C8
+    const LAYER_COLORS = [0x4fc3f7, 0xffb74d, 0x81c784, 0xe57373, 0xba68c8, 0xfff176];
+    const STRIP_HEIGHT = 0.022;
+    const STRIP_GAP = 0.008;
+    const STRIP_OFFSET = 0.015; // Distance from the back edge of the keys
+    const KEY_BACK_EDGE = -0.4; // White keys span z = -0.4 .. 0.4 (main.js)
+    const HALF_WHITE_KEY = 0.08; // Half the white key spacing
+
+    let overlayScene = null;
+    let overlayKeyMap = null;
+    let overlayGroup = null;
+    let learn = null; // { slot, edge: 'low'|'high', onLearned }
+
+    window.LAYER_RANGE_COLORS = LAYER_COLORS;
+
+    function clampKey(midi) {
+        return Math.max(0, Math.min(127, Math.round(midi)));
+    }
+
+    /**
+     * Key range of a layer (the whole keyboard when none is set)
+     * @param {number} slot - Layer index
+     * @returns {Object} { low, high, full }
+     */
+    window.getLayerKeyRange = function(slot) {
+        const range = (window.gslSlotKeyRanges || [])[slot];
+        if (!range) return { low: FIRST_KEY, high: LAST_KEY, full: true };
+        return { low: range.low, high: range.high, full: false };
+    };
+
+    /**
+     * Set a layer's key range; covering all 88 keys clears it (keys outside the piano then sound too)
+     * @param {number} slot - Layer index
+     * @param {number} low - Lowest MIDI key that plays the layer
+     * @param {number} high - Highest MIDI key that plays the layer
+     */
+    window.setLayerKeyRange = function(slot, low, high) {
+        if (!window.gslSlotKeyRanges) window.gslSlotKeyRanges = [null, null, null, null, null, null];
+        low = clampKey(low);
+        high = clampKey(high);
+        if (low > high) {
+            const swap = low;
+            low = high;
+            high = swap;
+        }
+        window.gslSlotKeyRanges[slot] = (low <= FIRST_KEY && high >= LAST_KEY) ? null : { low: low, high: high };
+        window.updateLayerRangeOverlay();
+    };
+
+    /**
+     * Use the next played key as a layer boundary
+     * @param {number} slot - Layer index
+     * @param {string} edge - 'low' or 'high'
+     * @param {Function} onLearned - Called with the key once set
+     */
+    window.startLayerRangeLearn = function(slot, edge, onLearned) {
+        learn = { slot: slot, edge: edge === 'high' ? 'high' : 'low', onLearned: onLearned };
+    };
+
+    window.cancelLayerRangeLearn = function() {
+        learn = null;
+    };
+
+    window.isLayerRangeLearning = function() {
+        return learn != null;
+    };
+
+    /**
+     * Note-on hook (midi-mapping): sets the boundary being learned. The key still sounds.
+     * @param {number} midiNote - MIDI note number
+     * @returns {boolean} Whether the key was used as a boundary
+     */
+    window.handleLayerRangeLearnNote = function(midiNote) {
+        if (!learn) return false;
+        const current = window.getLayerKeyRange(learn.slot);
+        const done = learn;
+        learn = null;
+        if (done.edge === 'low') {
+            window.setLayerKeyRange(done.slot, midiNote, Math.max(midiNote, current.high));
+        } else {
+            window.setLayerKeyRange(done.slot, Math.min(midiNote, current.low), midiNote);
+        }
+        if (done.onLearned) done.onLearned(midiNote);
+        return true;
+    };
+
+    function getKeyX(midi) {
+        const keyData = overlayKeyMap && overlayKeyMap.get(Math.max(FIRST_KEY, Math.min(LAST_KEY, midi)));
+        return keyData ? keyData.mesh.position.x : null;
+    }
+
+    function clearOverlay() {
+        if (!overlayGroup) return;
+        overlayGroup.children.slice().forEach((strip) => {
+            overlayGroup.remove(strip);
+            strip.geometry.dispose();
+            strip.material.dispose();
+        });
+    }
+
+    /**
+     * Initialize the overlay (called by main.js once the keys exist)
+     * @param {THREE.Scene} scene - Keyboard scene
+     * @param {Map} keyMap - MIDI note -> { mesh, ... }
+     */
+    window.initLayerRangeOverlay = function(scene, keyMap) {
+        if (!window.THREE || !scene || !keyMap) return;
+        overlayScene = scene;
+        overlayKeyMap = keyMap;
+        overlayGroup = new window.THREE.Group();
+        overlayGroup.name = 'layer-range-overlay';
+        overlayScene.add(overlayGroup);
+        window.updateLayerRangeOverlay();
+    };
+
+    /**
+     * Rebuild the strips from the current layers and ranges (muted layers are dimmed)
+     */
+    window.updateLayerRangeOverlay = function() {
+        if (!overlayGroup) return;
+        const THREE = window.THREE;
+        clearOverlay();
+        overlayGroup.visible = !!window.layerRangeSettings.showOverlay;
+        const slots = window.gslPresetSlots || [];
+        const muted = window.gslSlotMuted || [];
+        let row = 0;
+        for (let slot = 0; slot < slots.length; slot++) {
+            if (!slots[slot]) continue;
+            const range = window.getLayerKeyRange(slot);
+            const lowX = getKeyX(range.low);
+            const highX = getKeyX(range.high);
+            if (lowX == null || highX == null || range.high < FIRST_KEY || range.low > LAST_KEY) {
+                row++;
+                continue;
+            }
+            const width = highX - lowX + HALF_WHITE_KEY * 2;
+            const geometry = new THREE.PlaneGeometry(width, STRIP_HEIGHT);
+            const material = new THREE.MeshBasicMaterial({
+                color: LAYER_COLORS[slot % LAYER_COLORS.length],
+                transparent: true,
+                opacity: muted[slot] ? 0.25 : 0.85,
+                side: THREE.DoubleSide
+            });
+            const strip = new THREE.Mesh(geometry, material);
+            strip.rotation.x = -Math.PI / 2;
+            strip.position.set((lowX + highX) / 2, 0.001, KEY_BACK_EDGE - STRIP_OFFSET - STRIP_HEIGHT / 2 - row * (STRIP_HEIGHT + STRIP_GAP));
+            strip.userData.slot = slot;
+            overlayGroup.add(strip);
+            row++;
+        }
+    };
+
+    console.log('Layer Ranges module loaded');
+})();
@@ -1,6 +1,6 @@
 /**
  * MIDI Debug Display Module
- * Shows real-time MIDI note number, velocity, and module state
+ * Shows real-time MIDI note number, velocity, module state and the synth voice count
  */
 
 (function() {
@@ -98,6 +98,22 @@
         }
     };
     
+    /**
+     * Show MIDI pedal change debug info (sustain, sostenuto, soft)
+     */
+    window.showMidiDebugPedalChange = function() {
+        if (!window.midiDebugSettings || !window.midiDebugSettings.enabled) {
+            return;
+        }
+        
+        initMidiDebug();
+        
+        if (!debugContainer) return;
+        
+        updateDebugDisplay();
+        debugContainer.classList.add('midi-debug-visible');
+    };
+    
     /**
      * Update debug display with current active notes
      */
@@ -116,6 +132,9 @@
         const globalSustainedNotes = window.sustainedNotes || new Set();
         const globalPhysicallyHeldNotes = window.physicallyHeldNotes || new Set();
         const sustainPedalActive = window.sustainPedalActive || false;
+        const sostenutoPedalActive = window.sostenutoPedalActive || false;
+        const softPedalActive = window.softPedalActive || false;
+        const globalSostenutoNotes = window.sostenutoNotes || new Set();
         const realisticSustainNotes = window.realisticSustainNotes || new Map();
         
         // Get all active MIDI notes (from both local and global tracking)
@@ -126,10 +145,29 @@
         // Sort notes by MIDI number
         const sortedNotes = Array.from(allActiveMidiNotes).sort((a, b) => a - b);
         
-        var pedalStatus = document.createElement('div');
-        pedalStatus.className = 'midi-debug-pedal' + (sustainPedalActive ? ' on' : '');
-        pedalStatus.innerHTML = '<strong>Sustain Pedal:</strong> ' + (sustainPedalActive ? 'ON' : 'OFF');
-        debugContainer.appendChild(pedalStatus);
+        // Half-pedal depth from the synth (0-1), shown while the sustain pedal is down
+        const gslInner = window.synth && window.synth.synth;
+        const sustainDepth = (gslInner && gslInner.getSustainPedal) ? gslInner.getSustainPedal() : (sustainPedalActive ? 1 : 0);
+        [
+            ['Sustain Pedal', sustainPedalActive, sustainDepth < 1 ? ' (' + Math.round(sustainDepth * 100) + '%)' : ''],
+            ['Sostenuto Pedal', sostenutoPedalActive],
+            ['Soft Pedal', softPedalActive]
+        ].forEach(function (pedal) {
+            var pedalStatus = document.createElement('div');
+            pedalStatus.className = 'midi-debug-pedal' + (pedal[1] ? ' on' : '');
+            pedalStatus.innerHTML = '<strong>' + pedal[0] + ':</strong> ' + (pedal[1] ? 'ON' + (pedal[2] || '') : 'OFF');
+            debugContainer.appendChild(pedalStatus);
+        });
+
+        // Live voice count against the polyphony limit (released voices still fading count too)
+        if (window.synth && window.synth.getVoiceCount) {
+            const maxVoices = window.synth.getMaxVoices ? window.synth.getMaxVoices() : 0;
+            const voiceCount = window.synth.getVoiceCount();
+            var voiceStatus = document.createElement('div');
+            voiceStatus.className = 'midi-debug-pedal' + (maxVoices && voiceCount >= maxVoices ? ' on' : '');
+            voiceStatus.innerHTML = '<strong>Voices:</strong> ' + voiceCount + (maxVoices ? ' / ' + maxVoices : '');
+            debugContainer.appendChild(voiceStatus);
+        }
 
         if (sortedNotes.length === 0) {
             var emptyMsg = document.createElement('div');
@@ -161,6 +199,7 @@
             // Determine note state
             const isPhysicallyHeld = globalPhysicallyHeldNotes.has(midiNote);
             const isSustained = globalSustainedNotes.has(midiNote);
+            const isSostenuto = globalSostenutoNotes.has(midiNote);
             const isActive = globalActiveNotes.has(midiNote);
             
             // Get realistic sustain info if enabled
@@ -211,6 +250,7 @@
                 '<div class="midi-debug-states">' +
                 '<span class="' + keyClass + '">' + (isPhysicallyHeld ? '●' : '○') + ' Key</span>' +
                 '<span class="' + sustainedClass + '">' + (isSustained ? '●' : '○') + ' Sustained</span>' +
+                '<span class="' + (isSostenuto ? 'sustain-on' : '') + '">' + (isSostenuto ? '●' : '○') + ' Sostenuto</span>' +
                 '<span class="' + activeClass + '">' + (isActive ? '●' : '○') + ' Active</span>' +
                 '</div>';
             if (envelopeState) {
@@ -540,6 +540,11 @@ for (let i = 0; i < numWhiteKeys - 1; i++) {
     }
 }
 
+// Layer key range strips behind the keys
+if (window.initLayerRangeOverlay) {
+    window.initLayerRangeOverlay(scene, keyMap);
+}
+
 // Apply default label format (e.g. note only) to all key textures after keys are created
 if (window.updateAllLabelFormats) {
     window.updateAllLabelFormats();
@@ -819,6 +824,10 @@ if (typeof window !== 'undefined') {
     if (!window.frequencyCompensationSettings) window.frequencyCompensationSettings = { targetSPL: 85 };
     if (!window.delayPseudoReverbSettings) window.delayPseudoReverbSettings = {};
     if (!window.tremoloSettings) window.tremoloSettings = {};
+    // Master effects (audio/delay-pseudo-reverb.js, spectral-resonance-delay.js, tremolo.js) start switched off
+    if (window.physicsSettings.delayPseudoReverb === undefined) window.physicsSettings.delayPseudoReverb = false;
+    if (window.physicsSettings.spectralResonanceDelay === undefined) window.physicsSettings.spectralResonanceDelay = false;
+    if (window.physicsSettings.tremolo === undefined) window.physicsSettings.tremolo = false;
 }
 
 // No dynamic filter for GSL sample playback
@@ -840,9 +849,11 @@ if (filter && synth && synth.synth && synth.synth.masterGain) {
 }
 
 // Function to reconnect audio chain (called when reverb or fake binaural is toggled)
+// Effects sit between the GSL master gain and its output node (live playback; offline renders stay dry).
+// Fake binaural, binaural reverb and spectral balance are only used if their modules are loaded.
 window.reconnectAudioChain = function() {
     // Early return if synth is not initialized
-    if (!synth || !synth.synth || !synth.synth.masterGain) {
+    if (!synth || !synth.synth || !synth.synth.masterGain || !synth.synth.outputNode) {
         console.warn('reconnectAudioChain: synth not initialized yet');
         return;
     }
@@ -887,17 +898,8 @@ window.reconnectAudioChain = function() {
         fakeBinauralOutput = window.connectFakeBinaural(currentOutput);
         currentOutput = fakeBinauralOutput;
     } else {
+        // The GSL master bus is already stereo; no mono-to-stereo pass-through needed
         fakeBinauralOutput = null;
-        // If fake binaural is disabled, ensure stereo output by creating a pass-through merger
-        // This converts mono to stereo before passing to reverb or destination
-        // Use Web Audio API ChannelMergerNode
-        if (synth && synth.synth && synth.synth.audioCtx) {
-            const audioCtx = synth.synth.audioCtx;
-            const stereoPassThrough = audioCtx.createChannelMerger(2);
-            currentOutput.connect(stereoPassThrough, 0, 0); // Left channel
-            currentOutput.connect(stereoPassThrough, 0, 1); // Right channel (duplicate for mono)
-            currentOutput = stereoPassThrough;
-        }
     }
     
     // Connect binaural reverb if enabled (after fake binaural)
@@ -948,16 +950,12 @@ window.reconnectAudioChain = function() {
         tremoloOutput = null;
     }
     
-    // Connect to destination
-    if (currentOutput && synth && synth.synth && synth.synth.audioCtx) {
-        if (currentOutput.connect) {
-            currentOutput.connect(synth.synth.audioCtx.destination);
-        } else {
-            // Fallback: connect synth directly
-            synth.synth.masterGain.connect(synth.synth.audioCtx.destination);
-        }
-    } else if (synth && synth.synth && synth.synth.masterGain && synth.synth.audioCtx) {
-        synth.synth.masterGain.connect(synth.synth.audioCtx.destination);
+    // Connect to the synth's output node (-> destination, tapped by the output recorder)
+    if (currentOutput && currentOutput.connect) {
+        currentOutput.connect(synth.synth.outputNode);
+    } else {
+        // Fallback: connect synth directly
+        synth.synth.masterGain.connect(synth.synth.outputNode);
     }
 };
 
@@ -1000,6 +998,7 @@ function initializeMidiMapping() {
             activeNotes: activeNotes,
             physicallyHeldNotes: physicallyHeldNotes,
             sustainedNotes: sustainedNotes,
+            sostenutoNotes: sostenutoNotes,
             noteAttackTimes: noteAttackTimes,
             frequencyModulations: frequencyModulations,
             attackNoiseNodes: attackNoiseNodes,
@@ -1056,8 +1055,19 @@ if (typeof window !== 'undefined') {
         set: (value) => { sustainPedalActive = value; }
     });
 }
+// Sostenuto pedal state
+let sostenutoPedalActive = false;
+// Soft pedal (una corda) state
+let softPedalActive = false;
+// Expose pedal states to window for MIDI debug module
+if (typeof window !== 'undefined') {
+    Object.defineProperty(window, 'sostenutoPedalActive', { get: () => sostenutoPedalActive });
+    Object.defineProperty(window, 'softPedalActive', { get: () => softPedalActive });
+}
 // Track notes that are currently being held down (physically pressed)
 const physicallyHeldNotes = new Set();
+// Track notes latched by the sostenuto pedal (held when it went down)
+const sostenutoNotes = new Set();
 // Track notes that are being sustained by the pedal (not physically pressed)
 const sustainedNotes = new Set(); // midiNote -> noteName
 // Track all currently active notes (playing) - for reference/debugging
@@ -1072,6 +1082,7 @@ const noteVolumeNodes = new Map(); // noteName -> Tone.Volume
 if (typeof window !== 'undefined') {
     window.physicallyHeldNotes = physicallyHeldNotes;
     window.sustainedNotes = sustainedNotes;
+    window.sostenutoNotes = sostenutoNotes;
     window.activeNotes = activeNotes;
     window.unisonVoices = unisonVoices;
     window.noteVolumeNodes = noteVolumeNodes;
@@ -1159,20 +1170,49 @@ function releaseKey(midiNote) {
 // Velocity mapping and ADSR envelope handling is now in midi-mapping.js module
 
 // Function to handle MIDI note on (wrapper for midi-mapping module)
-function handleNoteOn(midiNote, velocity) {
+// channel/portId are only set for hardware MIDI; they select the layers via midi-routing
+function handleNoteOn(midiNote, velocity, channel, portId) {
+    if (window.recordMidiEvent) {
+        window.recordMidiEvent({ type: 'noteOn', channel: channel, note: midiNote, velocity: velocity }, portId);
+    }
+    const layers = window.getMidiRouteLayers ? window.getMidiRouteLayers(portId, channel) : null;
+    if (layers && layers.length === 0) return; // Channel routed to no layers
     if (window.handleMidiNoteOn) {
-        window.handleMidiNoteOn(midiNote, velocity);
+        window.handleMidiNoteOn(midiNote, velocity, layers);
     }
 }
 
 // Function to handle MIDI note off (wrapper for midi-mapping module)
-function handleNoteOff(midiNote) {
+function handleNoteOff(midiNote, channel, portId) {
+    if (window.recordMidiEvent) {
+        window.recordMidiEvent({ type: 'noteOff', channel: channel, note: midiNote }, portId);
+    }
     if (window.handleMidiNoteOff) {
         window.handleMidiNoteOff(midiNote);
     }
 }
 
 
+// Function to handle MIDI pitch bend (wrapper for midi-mapping module)
+function handlePitchBend(value, channel, portId) {
+    if (window.recordMidiEvent) {
+        window.recordMidiEvent({ type: 'pitchBend', channel: channel, value: value }, portId);
+    }
+    if (window.handleMidiPitchBend) {
+        window.handleMidiPitchBend(value);
+    }
+}
+
+// Function to handle MIDI program change (wrapper for midi-program-change module)
+function handleProgramChange(program, channel, portId) {
+    if (window.recordMidiEvent) {
+        window.recordMidiEvent({ type: 'programChange', channel: channel, program: program }, portId);
+    }
+    if (window.handleMidiProgramChange) {
+        window.handleMidiProgramChange(program, channel, portId);
+    }
+}
+
 // Legacy function - now handled by midi-mapping module (kept for reference, can be removed)
 function handleNoteOn_OLD(midiNote, velocity) {
     const noteName = midiNoteToNoteName(midiNote);
@@ -1498,7 +1538,12 @@ function releaseAllNotes() {
     activeNotes.clear();
     physicallyHeldNotes.clear();
     sustainedNotes.clear();
+    sostenutoNotes.clear();
     noteAttackTimes.clear(); // Clean up filter tracking
+    // Re-center pitch bend in case a wheel message was missed
+    if (synth && synth.setPitchBend) {
+        synth.setPitchBend(0);
+    }
     frequencyModulations.clear(); // Clean up frequency modulation tracking
     unisonVoices.clear(); // Clean up unison voice tracking
     
@@ -1513,17 +1558,95 @@ function releaseAllNotes() {
 }
 
 // MIDI Input Module Integration
-// Handle sustain pedal control change
-function handleControlChange(controller, value) {
-    // Sustain pedal is controller 64
+// Release a note that was only sounding because of a pedal (sustain or sostenuto)
+function releasePedalHeldNote(midiNote) {
+    // Stop attack noise if it exists
+    if (attackNoiseNodes.has(midiNote)) {
+        const noiseNode = attackNoiseNodes.get(midiNote);
+        if (noiseNode && noiseNode.stop) {
+            noiseNode.stop();
+        }
+        attackNoiseNodes.delete(midiNote);
+    }
+    
+    // Stop release transient if it exists
+    if (releaseTransientNodes.has(midiNote)) {
+        const transientNode = releaseTransientNodes.get(midiNote);
+        if (transientNode && transientNode.stop) {
+            transientNode.stop();
+        }
+        releaseTransientNodes.delete(midiNote);
+    }
+    
+    // Cancel any sustain decay automation
+    if (sustainDecayAutomations.has(midiNote)) {
+        const automation = sustainDecayAutomations.get(midiNote);
+        if (automation && automation.cancel) {
+            automation.cancel();
+        }
+        sustainDecayAutomations.delete(midiNote);
+    }
+    
+    // Release all voices for this note (including unison voices if any)
+    const voicesToRelease = unisonVoices.get(midiNote);
+    if (voicesToRelease && voicesToRelease.length > 0) {
+        // Release all tracked voices (including duplicates - each triggerAttack needs a triggerRelease)
+        // Important: Even if multiple strings round to the same note name, we must release each one
+        voicesToRelease.forEach(voiceNoteName => {
+            try {
+                synth.triggerRelease(voiceNoteName);
+            } catch (e) {
+                // Ignore errors
+            }
+        });
+        // Clean up tracking
+        unisonVoices.delete(midiNote);
+    } else {
+        // Fallback: release main note name
+        const noteName = activeNotes.get(midiNote);
+        if (noteName) {
+            try {
+                synth.triggerRelease(noteName);
+            } catch (e) {
+                // Ignore errors
+            }
+        }
+    }
+    activeNotes.delete(midiNote);
+    sustainedNotes.delete(midiNote);
+    noteAttackTimes.delete(midiNote); // Clean up attack time tracking
+    frequencyModulations.delete(midiNote); // Clean up frequency modulation
+}
+
+// Handle pedal control changes (sustain, sostenuto, soft)
+function handleControlChange(controller, value, channel, portId) {
+    if (window.recordMidiEvent) {
+        window.recordMidiEvent({ type: 'controlChange', channel: channel, controller: controller, value: value }, portId);
+    }
+    
+    // Bank Select (CC0/CC32) is remembered for the next program change
+    if (window.handleMidiBankSelect && window.handleMidiBankSelect(controller, value, channel, portId)) {
+        return;
+    }
+    
+    // Sustain pedal is controller 64 (continuous: half-pedaling damps released notes partially)
     if (controller === 64) {
         const wasActive = sustainPedalActive;
-        const isNowActive = value >= 64; // >= 64 means pedal down
+        const depth = window.getSustainPedalDepth ? window.getSustainPedalDepth(value) : (value >= 64 ? 1 : 0);
+        const isNowActive = depth > 0; // Any damper lift holds released notes
         sustainPedalActive = isNowActive;
         
-        // Update synth's sustain pedal state for harmonic evolution
+        // Update synth's pedal depth (scales damping of released notes)
         if (synth && synth.synth && typeof synth.synth.setSustainPedal === 'function') {
-            synth.synth.setSustainPedal(isNowActive);
+            synth.synth.setSustainPedal(depth);
+        }
+        
+        // Continuous pedals send many values; the on/off handlers below only care about changes
+        if (isNowActive === wasActive) {
+            if (window.showMidiDebugPedalChange) {
+                window.showMidiDebugPedalChange();
+            }
+            return;
         }
         
         // Handle spectral balance gain reduction on sustain pedal change
@@ -1542,68 +1665,47 @@ function handleControlChange(controller, value) {
         }
         
         // If sustain pedal is released, release only the sustained notes
+        // (notes latched by the sostenuto pedal keep sounding)
         if (wasActive && !sustainPedalActive) {
             // Create a copy to avoid modification during iteration
-            const notesToRelease = Array.from(sustainedNotes);
-            notesToRelease.forEach((midiNote) => {
-                // Stop attack noise if it exists
-                if (attackNoiseNodes.has(midiNote)) {
-                    const noiseNode = attackNoiseNodes.get(midiNote);
-                    if (noiseNode && noiseNode.stop) {
-                        noiseNode.stop();
-                    }
-                    attackNoiseNodes.delete(midiNote);
-                }
-                
-                // Stop release transient if it exists
-                if (releaseTransientNodes.has(midiNote)) {
-                    const transientNode = releaseTransientNodes.get(midiNote);
-                    if (transientNode && transientNode.stop) {
-                        transientNode.stop();
-                    }
-                    releaseTransientNodes.delete(midiNote);
-                }
-                
-                // Cancel any sustain decay automation
-                if (sustainDecayAutomations.has(midiNote)) {
-                    const automation = sustainDecayAutomations.get(midiNote);
-                    if (automation && automation.cancel) {
-                        automation.cancel();
-                    }
-                    sustainDecayAutomations.delete(midiNote);
-                }
-                
-                // Release all voices for this note (including unison voices if any)
-                const voicesToRelease = unisonVoices.get(midiNote);
-                if (voicesToRelease && voicesToRelease.length > 0) {
-                    // Release all tracked voices (including duplicates - each triggerAttack needs a triggerRelease)
-                    // Important: Even if multiple strings round to the same note name, we must release each one
-                    voicesToRelease.forEach(voiceNoteName => {
-                        try {
-                            synth.triggerRelease(voiceNoteName);
-                        } catch (e) {
-                            // Ignore errors
-                        }
-                    });
-                    // Clean up tracking
-                    unisonVoices.delete(midiNote);
-                } else {
-                    // Fallback: release main note name
+            const notesToRelease = Array.from(sustainedNotes).filter((midiNote) => !sostenutoNotes.has(midiNote));
+            notesToRelease.forEach(releasePedalHeldNote);
+        }
+    } else if (controller === 66) {
+        // Sostenuto pedal: latch the keys held at the moment the pedal goes down
+        const isNowActive = value >= 64;
+        if (isNowActive === sostenutoPedalActive) return;
+        sostenutoPedalActive = isNowActive;
+        
+        if (isNowActive) {
+            physicallyHeldNotes.forEach((midiNote) => sostenutoNotes.add(midiNote));
+        } else {
+            const latchedNotes = Array.from(sostenutoNotes);
+            sostenutoNotes.clear();
+            const releasedKeys = latchedNotes.filter((midiNote) => sustainedNotes.has(midiNote));
+            // Released keys stop unless the sustain pedal still holds them
+            if (!sustainPedalActive) {
+                releasedKeys.forEach(releasePedalHeldNote);
+            } else if (synth && synth.synth && typeof synth.synth.updateNoteKeyState === 'function') {
+                // Now held by the sustain pedal only: apply its (possibly partial) damping
+                releasedKeys.forEach((midiNote) => {
                     const noteName = activeNotes.get(midiNote);
-                    if (noteName) {
-                        try {
-                            synth.triggerRelease(noteName);
-                        } catch (e) {
-                            // Ignore errors
-                        }
-                    }
-                }
-                activeNotes.delete(midiNote);
-                sustainedNotes.delete(midiNote);
-                noteAttackTimes.delete(midiNote); // Clean up attack time tracking
-                frequencyModulations.delete(midiNote); // Clean up frequency modulation
-            });
+                    if (noteName) synth.synth.updateNoteKeyState(noteName, false);
+                });
+            }
         }
+    } else if (controller === 67) {
+        // Soft pedal (una corda): quieter, darker tone for new notes
+        softPedalActive = value >= 64;
+        if (synth && typeof synth.setSoftPedal === 'function') {
+            synth.setSoftPedal(softPedalActive);
+        }
+    } else {
+        return;
+    }
+    
+    if (window.showMidiDebugPedalChange) {
+        window.showMidiDebugPedalChange();
     }
 }
 
@@ -1611,12 +1713,30 @@ function handleControlChange(controller, value) {
 // Note: Tone.js requires user interaction to start audio context
 function initializeMidiInput() {
     if (window.initMidiInput) {
-        window.initMidiInput(handleNoteOn, handleNoteOff, handleControlChange);
+        window.initMidiInput(handleNoteOn, handleNoteOff, handleControlChange, handlePitchBend, handleProgramChange);
     } else {
         console.warn('MIDI input module not loaded');
     }
 }
 
+// Initialize MIDI file player (plays through the same handlers as live MIDI input)
+function initializeMidiPlayer() {
+    if (window.initMidiPlayer) {
+        window.initMidiPlayer({
+            noteOn: handleNoteOn,
+            noteOff: handleNoteOff,
+            controlChange: handleControlChange,
+            pitchBend: handlePitchBend,
+            programChange: handleProgramChange
+        });
+    } else {
+        console.warn('MIDI player module not loaded');
+    }
+}
+
+// Files can be dropped before the first click; playback itself starts from a click
+initializeMidiPlayer();
+
 // Initialize keypress input module
 function initializeKeypressInput() {
     if (window.initKeypressInput) {
@@ -1632,6 +1752,8 @@ document.addEventListener('click', () => {
         initializeMidiMapping();
     }
     var ctx = synth && synth.synth && synth.synth.audioCtx;
+    // Insert the master effects switched on before the audio context existed
+    if (window.reconnectAudioChain) window.reconnectAudioChain();
     function afterAudioReady() {
         initializeMidiInput();
         initializeKeypressInput();
@@ -1984,7 +2106,7 @@ const defaultSoundProfile = {
         targetSPL: 85
     },
     delayPseudoReverb: {
-        enabled: true,
+        enabled: false,
         dryWet: 0.3,
         crossoverFreq: 300,
         delayCenter: 0.003,
@@ -1993,7 +2115,7 @@ const defaultSoundProfile = {
         pingPongAmount: 0.3
     },
     tremolo: {
-        enabled: true,
+        enabled: false,
         rate: 0.8,
         depth: 0.003,
         delayTime: 0.015,
@@ -2152,20 +2274,20 @@ function resetAllSettingsToDefaults() {
     // Sync physics settings checkboxes for modules that can be enabled/disabled
     // These are controlled by physicsSettings but also have their own enabled state
     if (window.physicsSettings) {
-        // Ensure tremolo is enabled in physics settings (default: true)
-        if (window.physicsSettings.tremolo === undefined || window.physicsSettings.tremolo === true) {
-            window.physicsSettings.tremolo = true;
-        }
-        // Ensure delayPseudoReverb is enabled in physics settings (default: true)
-        if (window.physicsSettings.delayPseudoReverb === undefined || window.physicsSettings.delayPseudoReverb === true) {
-            window.physicsSettings.delayPseudoReverb = true;
-        }
+        // Master effects follow their default profile (off)
+        window.physicsSettings.tremolo = defaultSoundProfile.tremolo.enabled;
+        window.physicsSettings.delayPseudoReverb = defaultSoundProfile.delayPseudoReverb.enabled;
         // Ensure frequencyCompensation is enabled in physics settings (default: true)
         if (window.physicsSettings.frequencyCompensation === undefined || window.physicsSettings.frequencyCompensation === true) {
             window.physicsSettings.frequencyCompensation = true;
         }
     }
     
+    // Apply the effect switches to the live chain
+    if (window.reconnectAudioChain) {
+        window.reconnectAudioChain();
+    }
+    
     console.log('Reset to defaults complete');
 }
 
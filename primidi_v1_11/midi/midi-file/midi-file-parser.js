@@ -0,0 +1,215 @@
+/**
+ * MIDI File Parser Module
+ * Parses Standard MIDI Files (format 0 and 1) into tracks of timed events
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_TEMPO = 500000; // microseconds per quarter note (120 BPM)
+
+    /**
+     * Minimal big-endian reader over a Uint8Array
+     */
+    function createReader(bytes) {
+        let pos = 0;
+        return {
+            get pos() { return pos; },
+            set pos(p) { pos = p; },
+            eof: function(end) { return pos >= (end != null ? end : bytes.length); },
+            u8: function() {
+                if (pos >= bytes.length) throw new Error('Unexpected end of MIDI file');
+                return bytes[pos++];
+            },
+            u16: function() { return (this.u8() << 8) | this.u8(); },
+            u32: function() { return ((this.u8() << 24) >>> 0) + (this.u8() << 16) + (this.u8() << 8) + this.u8(); },
+            ascii: function(n) {
+                let s = '';
+                for (let i = 0; i < n; i++) s += String.fromCharCode(this.u8());
+                return s;
+            },
+            bytes: function(n) {
+                if (pos + n > bytes.length) throw new Error('Unexpected end of MIDI file');
+                const out = bytes.subarray(pos, pos + n);
+                pos += n;
+                return out;
+            },
+            varLen: function() {
+                let value = 0;
+                for (let i = 0; i < 4; i++) {
+                    const b = this.u8();
+                    value = (value << 7) | (b & 0x7f);
+                    if (!(b & 0x80)) return value;
+                }
+                throw new Error('Invalid variable-length quantity');
+            }
+        };
+    }
+
+    function bytesToText(data) {
+        let s = '';
+        for (let i = 0; i < data.length; i++) s += String.fromCharCode(data[i]);
+        return s;
+    }
+
+    /**
+     * Parse one MTrk chunk
+     * @returns {Object} { name, events } with events in absolute ticks
+     */
+    function parseTrack(reader, end) {
+        const events = [];
+        let name = '';
+        let tick = 0;
+        let runningStatus = 0;
+
+        while (!reader.eof(end)) {
+            tick += reader.varLen();
+            let status = reader.u8();
+
+            if (status === 0xff) {
+                // Meta event
+                const metaType = reader.u8();
+                const data = reader.bytes(reader.varLen());
+                if (metaType === 0x2f) break; // End of track
+                if (metaType === 0x51 && data.length === 3) {
+                    events.push({ tick: tick, type: 'tempo', tempo: (data[0] << 16) | (data[1] << 8) | data[2] });
+                } else if (metaType === 0x03 && !name) {
+                    name = bytesToText(data);
+                } else if (metaType === 0x58 && data.length >= 2) {
+                    events.push({ tick: tick, type: 'timeSignature', numerator: data[0], denominator: Math.pow(2, data[1]) });
+                }
+                continue;
+            }
+            if (status === 0xf0 || status === 0xf7) {
+                // SysEx: skip payload (also cancels running status)
+                reader.bytes(reader.varLen());
+                runningStatus = 0;
+                continue;
+            }
+
+            let data1;
+            if (status & 0x80) {
+                runningStatus = status;
+                data1 = reader.u8();
+            } else {
+                // Running status: this byte is already the first data byte
+                if (!runningStatus) throw new Error('Running status without a previous status byte');
+                data1 = status;
+                status = runningStatus;
+            }
+
+            const command = status & 0xf0;
+            const channel = status & 0x0f;
+            if (command === 0xc0 || command === 0xd0) {
+                if (command === 0xc0) {
+                    events.push({ tick: tick, type: 'programChange', channel: channel, program: data1 });
+                }
+                continue;
+            }
+            const data2 = reader.u8();
+            if (command === 0x90 && data2 > 0) {
+                events.push({ tick: tick, type: 'noteOn', channel: channel, note: data1, velocity: data2 });
+            } else if (command === 0x80 || command === 0x90) {
+                events.push({ tick: tick, type: 'noteOff', channel: channel, note: data1 });
+            } else if (command === 0xb0) {
+                events.push({ tick: tick, type: 'controlChange', channel: channel, controller: data1, value: data2 });
+            } else if (command === 0xe0) {
+                events.push({ tick: tick, type: 'pitchBend', channel: channel, value: (data2 << 7) | data1 });
+            }
+            // Polyphonic aftertouch (0xA0) is ignored
+        }
+
+        return { name: name, events: events, endTick: tick };
+    }
+
+    /**
+     * Build a tick -> seconds converter from all tempo events
+     * @param {Array} tempoEvents - Tempo events sorted by tick
+     * @param {number} division - Ticks per quarter note
+     */
+    function createTickToSeconds(tempoEvents, division) {
+        // Segments: { tick, seconds, secondsPerTick } starting at each tempo change
+        const segments = [{ tick: 0, seconds: 0, secondsPerTick: DEFAULT_TEMPO / 1e6 / division }];
+        tempoEvents.forEach((ev) => {
+            const last = segments[segments.length - 1];
+            const seconds = last.seconds + (ev.tick - last.tick) * last.secondsPerTick;
+            const segment = { tick: ev.tick, seconds: seconds, secondsPerTick: ev.tempo / 1e6 / division };
+            if (ev.tick === last.tick) {
+                segments[segments.length - 1] = segment;
+            } else {
+                segments.push(segment);
+            }
+        });
+        return function(tick) {
+            let seg = segments[0];
+            for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) seg = segments[i];
+            return seg.seconds + (tick - seg.tick) * seg.secondsPerTick;
+        };
+    }
+
+    /**
+     * Parse a Standard MIDI File
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Object} { format, division, duration, tracks: [{ name, events: [{ time, tick, type, ... }] }], tempoMap }
+     */
+    window.parseMidiFile = function(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const reader = createReader(bytes);
+
+        if (reader.ascii(4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+        const headerLength = reader.u32();
+        const headerEnd = reader.pos + headerLength;
+        const format = reader.u16();
+        const trackCount = reader.u16();
+        const division = reader.u16();
+        reader.pos = headerEnd;
+
+        if (format > 1) throw new Error('MIDI file format ' + format + ' is not supported');
+
+        const tracks = [];
+        while (tracks.length < trackCount && !reader.eof()) {
+            const chunkType = reader.ascii(4);
+            const chunkLength = reader.u32();
+            const chunkEnd = reader.pos + chunkLength;
+            if (chunkType === 'MTrk') {
+                tracks.push(parseTrack(reader, Math.min(chunkEnd, bytes.length)));
+            }
+            // Unknown chunks are skipped per the spec
+            reader.pos = chunkEnd;
+        }
+
+        // Tempo map (format 1 keeps it in the first track, but accept tempo events anywhere)
+        const tempoMap = [];
+        tracks.forEach((track) => {
+            track.events.forEach((ev) => { if (ev.type === 'tempo') tempoMap.push(ev); });
+        });
+        tempoMap.sort((a, b) => a.tick - b.tick);
+
+        let tickToSeconds;
+        if (division & 0x8000) {
+            // SMPTE division: frames per second (negative, two's complement) x ticks per frame
+            const fps = 256 - (division >> 8);
+            const ticksPerFrame = division & 0xff;
+            tickToSeconds = (tick) => tick / (fps * ticksPerFrame);
+        } else {
+            tickToSeconds = createTickToSeconds(tempoMap, division);
+        }
+
+        let duration = 0;
+        tracks.forEach((track) => {
+            track.events.forEach((ev) => { ev.time = tickToSeconds(ev.tick); });
+            track.duration = tickToSeconds(track.endTick);
+            duration = Math.max(duration, track.duration);
+        });
+
+        return {
+            format: format,
+            division: division,
+            duration: duration,
+            tempoMap: tempoMap.map((ev) => ({ tick: ev.tick, time: tickToSeconds(ev.tick), bpm: 60e6 / ev.tempo })),
+            tracks: tracks
+        };
+    };
+
+    console.log('MIDI File Parser module loaded');
+})();
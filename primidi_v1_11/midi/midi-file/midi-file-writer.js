@@ -0,0 +1,132 @@
+/**
+ * MIDI File Writer Module
+ * Writes timed note/controller events as a format 0 (or multi-track format 1) Standard MIDI File
+ */
+
+(function() {
+    'use strict';
+
+    const TICKS_PER_QUARTER = 480;
+    const EVENT_ORDER = { noteOff: 0, controlChange: 1, programChange: 1, pitchBend: 1, noteOn: 2 };
+
+    function pushVarLen(out, value) {
+        let buffer = value & 0x7f;
+        while ((value >>= 7) > 0) {
+            buffer <<= 8;
+            buffer |= ((value & 0x7f) | 0x80);
+        }
+        while (true) {
+            out.push(buffer & 0xff);
+            if (buffer & 0x80) {
+                buffer >>= 8;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function pushU32(out, value) {
+        out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    }
+
+    function pushText(out, text) {
+        for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i) & 0x7f);
+    }
+
+    /**
+     * Encode one event's status and data bytes
+     * @returns {Array|null} Bytes, or null for unsupported events
+     */
+    function encodeEvent(ev) {
+        const channel = (ev.channel || 0) & 0x0f;
+        switch (ev.type) {
+            case 'noteOn':
+                return [0x90 | channel, ev.note & 0x7f, Math.max(1, ev.velocity & 0x7f)];
+            case 'noteOff':
+                return [0x80 | channel, ev.note & 0x7f, 64];
+            case 'controlChange':
+                return [0xb0 | channel, ev.controller & 0x7f, ev.value & 0x7f];
+            case 'programChange':
+                return [0xc0 | channel, ev.program & 0x7f];
+            case 'pitchBend':
+                return [0xe0 | channel, ev.value & 0x7f, (ev.value >> 7) & 0x7f];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Encode one track chunk body
+     * @param {Array} events - Timed events (seconds)
+     * @param {string} [name] - Track name
+     * @param {Object|null} tempo - { microsPerQuarter } to write the tempo and 4/4 time signature (first track)
+     * @param {number} ticksPerSecond
+     * @returns {Array} Track bytes (without the MTrk header)
+     */
+    function encodeTrack(events, name, tempo, ticksPerSecond) {
+        const sorted = (events || []).slice().sort((a, b) =>
+            (a.time - b.time) || ((EVENT_ORDER[a.type] || 0) - (EVENT_ORDER[b.type] || 0)));
+
+        const track = [];
+        // Track name
+        if (name) {
+            track.push(0x00, 0xff, 0x03);
+            pushVarLen(track, name.length);
+            pushText(track, name);
+        }
+        if (tempo) {
+            const microsPerQuarter = tempo.microsPerQuarter;
+            // Tempo
+            track.push(0x00, 0xff, 0x51, 0x03, (microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff);
+            // Time signature 4/4
+            track.push(0x00, 0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08);
+        }
+
+        let lastTick = 0;
+        sorted.forEach((ev) => {
+            const bytes = encodeEvent(ev);
+            if (!bytes) return;
+            const tick = Math.max(lastTick, Math.round(ev.time * ticksPerSecond));
+            pushVarLen(track, tick - lastTick);
+            lastTick = tick;
+            bytes.forEach((b) => track.push(b));
+        });
+        // End of track
+        track.push(0x00, 0xff, 0x2f, 0x00);
+        return track;
+    }
+
+    /**
+     * Write a Standard MIDI File: format 0 from `events`, or format 1 with one chunk per entry of `tracks`
+     * @param {Object} options - { events: [{ time (seconds), type, channel, ... }], bpm, name }
+     *   or { tracks: [{ name, events }], bpm, name } (the tempo goes in the first track)
+     *   Event fields match parseMidiFile: noteOn (note, velocity), noteOff (note),
+     *   controlChange (controller, value), programChange (program), pitchBend (value 0-16383)
+     * @returns {Uint8Array} File bytes
+     */
+    window.writeMidiFile = function(options) {
+        const bpm = Math.max(20, Math.min(300, Number(options.bpm) || 120));
+        const ticksPerSecond = TICKS_PER_QUARTER * bpm / 60;
+        const tempo = { microsPerQuarter: Math.round(60e6 / bpm) };
+        const multiTrack = Array.isArray(options.tracks) && options.tracks.length > 0;
+        const tracks = multiTrack
+            ? options.tracks.map((t, i) => encodeTrack(t.events, t.name || (i === 0 ? options.name : ''), i === 0 ? tempo : null, ticksPerSecond))
+            : [encodeTrack(options.events, options.name, tempo, ticksPerSecond)];
+
+        const out = [];
+        pushText(out, 'MThd');
+        pushU32(out, 6);
+        out.push(0x00, multiTrack ? 0x01 : 0x00); // Format 0 or 1
+        out.push((tracks.length >> 8) & 0xff, tracks.length & 0xff);
+        out.push((TICKS_PER_QUARTER >> 8) & 0xff, TICKS_PER_QUARTER & 0xff);
+        tracks.forEach((track) => {
+            pushText(out, 'MTrk');
+            pushU32(out, track.length);
+            for (let i = 0; i < track.length; i++) out.push(track[i]);
+        });
+
+        return new Uint8Array(out);
+    };
+
+    console.log('MIDI File Writer module loaded');
+})();
@@ -18,11 +18,14 @@
     
     /**
      * Initialize MIDI input module
-     * @param {Function} noteOnHandler - Function to call on note on (midiNote, velocity)
-     * @param {Function} noteOffHandler - Function to call on note off (midiNote)
-     * @param {Function} controlChangeHandler - Function to call on control change (controller, value)
+     * Every handler also receives the MIDI channel (0-15) and the input port id as its last two arguments.
+     * @param {Function} noteOnHandler - Function to call on note on (midiNote, velocity, channel, portId)
+     * @param {Function} noteOffHandler - Function to call on note off (midiNote, channel, portId)
+     * @param {Function} controlChangeHandler - Function to call on control change (controller, value, channel, portId)
+     * @param {Function} pitchBendHandler - Function to call on pitch bend (value 0-16383 with 8192 = center, channel, portId)
+     * @param {Function} programChangeHandler - Function to call on program change (program, channel, portId)
      */
-    window.initMidiInput = function(noteOnHandler, noteOffHandler, controlChangeHandler) {
+    window.initMidiInput = function(noteOnHandler, noteOffHandler, controlChangeHandler, pitchBendHandler, programChangeHandler) {
         // Store handlers
         onMIDIMessageHandler = function(event) {
             if (!window.midiInputSettings.enabled) {
@@ -32,24 +35,25 @@
             const [status, data1, data2] = event.data;
             const command = status & 0xf0; // Upper nibble is command
             const channel = status & 0x0f; // Lower nibble is channel
+            const portId = event.currentTarget ? event.currentTarget.id : null;
             
             // Note On (0x90) or Note Off (0x80)
             if (command === 0x90) {
                 // Note On
                 if (data2 > 0) {
                     if (noteOnHandler) {
-                        noteOnHandler(data1, data2);
+                        noteOnHandler(data1, data2, channel, portId);
                     }
                 } else {
                     // Note Off (velocity 0 is sometimes used for note off)
                     if (noteOffHandler) {
-                        noteOffHandler(data1);
+                        noteOffHandler(data1, channel, portId);
                     }
                 }
             } else if (command === 0x80) {
                 // Note Off
                 if (noteOffHandler) {
-                    noteOffHandler(data1);
+                    noteOffHandler(data1, channel, portId);
                 }
             } else if (command === 0xB0) {
                 // Control Change (0xB0-0xBF)
@@ -57,7 +61,19 @@
                 const value = data2;
                 
                 if (controlChangeHandler) {
-                    controlChangeHandler(controller, value);
+                    controlChangeHandler(controller, value, channel, portId);
+                }
+            } else if (command === 0xC0) {
+                // Program Change (0xC0-0xCF): single data byte
+                if (programChangeHandler) {
+                    programChangeHandler(data1, channel, portId);
+                }
+            } else if (command === 0xE0) {
+                // Pitch Bend (0xE0-0xEF): 14-bit value, LSB first
+                const value = ((data2 & 0x7f) << 7) | (data1 & 0x7f);
+                
+                if (pitchBendHandler) {
+                    pitchBendHandler(value, channel, portId);
                 }
             }
         };
@@ -78,14 +94,20 @@
             
             // Setup initial inputs
             setupMIDIInputs();
+            if (window.updateMidiRoutingUI) {
+                window.updateMidiRoutingUI();
+            }
             
             // Listen for new MIDI devices
             midiAccess.onstatechange = (event) => {
                 console.log('MIDI device state changed:', event.port.name, event.port.state);
                 if (event.port.state === 'connected' && event.port.type === 'input') {
                     event.port.onmidimessage = onMIDIMessageHandler;
-                    midiInputs.push(event.port);
-                    console.log('New MIDI input connected:', event.port.name);
+                    // statechange also fires when a connected port is opened; only add it once
+                    if (midiInputs.indexOf(event.port) === -1) {
+                        midiInputs.push(event.port);
+                        console.log('New MIDI input connected:', event.port.name);
+                    }
                 } else if (event.port.state === 'disconnected' && event.port.type === 'input') {
                     const index = midiInputs.indexOf(event.port);
                     if (index > -1) {
@@ -93,6 +115,9 @@
                     }
                     console.log('MIDI input disconnected:', event.port.name);
                 }
+                if (window.updateMidiRoutingUI) {
+                    window.updateMidiRoutingUI();
+                }
             };
             
         } catch (error) {
@@ -20,6 +20,7 @@
     let activeNotes = null;
     let physicallyHeldNotes = null;
     let sustainedNotes = null;
+    let sostenutoNotes = null;
     let noteAttackTimes = null;
     let frequencyModulations = null;
     let attackNoiseNodes = null;
@@ -28,6 +29,44 @@
     let sustainDecayAutomations = null;
     let noteVolumeNodes = null;
     
+    // Pitch bend range in semitones (wheel fully up/down)
+    window.pitchBendSettings = window.pitchBendSettings || {
+        range: 2 // Default: ±2 semitones (General MIDI)
+    };
+    
+    // Sustain pedal calibration: values below lowPoint are "up", above highPoint "fully down".
+    // curve picks the response in between ('switch' restores the classic >= 64 on/off pedal)
+    window.sustainPedalSettings = window.sustainPedalSettings || {
+        curve: 'linear',
+        lowPoint: 8,
+        highPoint: 120
+    };
+    
+    // Exponents for the calibration curves (< 1 reaches depth early, > 1 late)
+    const SUSTAIN_PEDAL_CURVES = {
+        early: 0.6,
+        linear: 1.0,
+        late: 1.8
+    };
+    
+    /**
+     * Map a sustain pedal CC value to damper lift depth using the calibration settings
+     * @param {number} value - CC64 value (0-127)
+     * @returns {number} Depth 0 (dampers down) to 1 (fully lifted)
+     */
+    window.getSustainPedalDepth = function(value) {
+        const settings = window.sustainPedalSettings || {};
+        if (settings.curve === 'switch') {
+            return value >= 64 ? 1 : 0;
+        }
+        const low = settings.lowPoint != null ? settings.lowPoint : 8;
+        const high = settings.highPoint != null ? settings.highPoint : 120;
+        if (value <= low) return 0;
+        if (value >= high) return 1;
+        const exponent = SUSTAIN_PEDAL_CURVES[settings.curve] || 1.0;
+        return Math.pow((value - low) / (high - low), exponent);
+    };
+    
     /**
      * Convert MIDI note number to frequency in Hz
      * Formula: f = 440 * 2^((n - 69) / 12) where n is MIDI note number
@@ -99,6 +138,32 @@
         return baseAmplitude;
     }
     
+    /**
+     * Note amplitude for a velocity using the current velocity mapping settings
+     * (same mapping as live note on, without pedal coupling)
+     * @param {number} velocity - MIDI velocity (0-127)
+     * @param {number} midiNote - MIDI note number (0-127)
+     * @returns {number} - Amplitude (0-1)
+     */
+    window.getMidiNoteAmplitude = function(velocity, midiNote) {
+        const k = (window.velocityMappingSettings && window.velocityMappingSettings.velocityExponent) ? window.velocityMappingSettings.velocityExponent : 2.0;
+        const targetSPL = (window.velocityMappingSettings && window.velocityMappingSettings.targetSPL) ? window.velocityMappingSettings.targetSPL : 85;
+        return velocityToAmplitudeWithCompensation(velocity, midiNote, k, targetSPL);
+    };
+    
+    /**
+     * Convert a 14-bit pitch bend value to semitones using the bend range setting
+     * @param {number} value - 14-bit pitch bend value (0-16383, 8192 = center)
+     * @returns {number} - Bend in semitones
+     */
+    window.getPitchBendSemitones = function(value) {
+        // Normalize to -1..1; 8191 steps up, 8192 steps down so both extremes reach ±1
+        const clamped = Math.max(0, Math.min(16383, value));
+        const normalized = clamped >= 8192 ? (clamped - 8192) / 8191 : (clamped - 8192) / 8192;
+        const range = (window.pitchBendSettings && window.pitchBendSettings.range != null) ? window.pitchBendSettings.range : 2;
+        return normalized * range;
+    };
+    
     /**
      * Initialize MIDI mapping module
      * @param {Object} dependencies - All required dependencies
@@ -116,6 +181,7 @@
         activeNotes = dependencies.activeNotes;
         physicallyHeldNotes = dependencies.physicallyHeldNotes;
         sustainedNotes = dependencies.sustainedNotes;
+        sostenutoNotes = dependencies.sostenutoNotes;
         noteAttackTimes = dependencies.noteAttackTimes;
         frequencyModulations = dependencies.frequencyModulations;
         attackNoiseNodes = dependencies.attackNoiseNodes;
@@ -129,13 +195,24 @@
      * Handle MIDI note on event
      * @param {number} midiNote - MIDI note number (0-127)
      * @param {number} velocity - MIDI velocity (0-127)
+     * @param {Array} [layers] - Layer indices to play (from midi-routing); omit for all layers
      */
-    window.handleMidiNoteOn = function(midiNote, velocity) {
+    window.handleMidiNoteOn = function(midiNote, velocity, layers) {
         // Show MIDI debug info if enabled
         if (window.showMidiDebugNoteOn) {
             window.showMidiDebugNoteOn(midiNote, velocity);
         }
         
+        // Learning a layer key range boundary (the key still sounds)
+        if (window.handleLayerRangeLearnNote) {
+            window.handleLayerRangeLearnNote(midiNote);
+        }
+        
+        // Spectral resonance delay follows the latest note (no-op while the effect is off)
+        if (window.updateSpectralDelayParams) {
+            window.updateSpectralDelayParams(velocity, 440 * Math.pow(2, (midiNote - 69) / 12));
+        }
+        
         const noteName = midiNoteToNoteNameFn(midiNote);
         if (!noteName) return;
         
@@ -332,9 +409,7 @@
         
         // Play sound with two-stage velocity mapping (velocity curve + frequency compensation)
         // Uses settings from velocity-mapping-settings.js if available, otherwise defaults
-        const k = (window.velocityMappingSettings && window.velocityMappingSettings.velocityExponent) ? window.velocityMappingSettings.velocityExponent : 2.0;
-        const targetSPL = (window.velocityMappingSettings && window.velocityMappingSettings.targetSPL) ? window.velocityMappingSettings.targetSPL : 85;
-        let amplitude = velocityToAmplitudeWithCompensation(velocity, midiNote, k, targetSPL);
+        let amplitude = window.getMidiNoteAmplitude(velocity, midiNote);
         
         // Apply pedal coupling (research4) - adds sympathetic resonance - from pedal-coupling.js module
         const isPedalActive = sustainPedalActiveRef && (sustainPedalActiveRef.value !== undefined ? sustainPedalActiveRef.value : false);
@@ -350,7 +425,7 @@
             return; // Cannot proceed without synth
         }
         
-        synth.triggerAttack(noteName, undefined, amplitude);
+        synth.triggerAttack(noteName, undefined, amplitude, layers, velocity);
         // Track the note name for release
         unisonVoices.set(midiNote, [noteName]);
         
@@ -433,8 +508,9 @@
             window.keyReleasedRealisticSustain(midiNote);
         }
         
-        // Release sound only if sustain pedal is not active
-        if (!sustainPedalActiveRef || !sustainPedalActiveRef.value) {
+        // Release sound only if neither the sustain pedal nor the sostenuto pedal holds this note
+        const isSostenutoLatched = sostenutoNotes ? sostenutoNotes.has(midiNote) : false;
+        if ((!sustainPedalActiveRef || !sustainPedalActiveRef.value) && !isSostenutoLatched) {
             // Cancel any sustain decay if it exists
             if (sustainDecayAutomations.has(midiNote)) {
                 const automation = sustainDecayAutomations.get(midiNote);
@@ -510,11 +586,12 @@
                 }
             }
         } else {
-            // Sustain is active: mark this note as sustained (not physically held)
+            // Sustain (or sostenuto) is active: mark this note as sustained (not physically held)
             sustainedNotes.add(midiNote);
             
             // Update synth state: key is released but note is sustained
-            if (synth && synth.synth && typeof synth.synth.updateNoteKeyState === 'function') {
+            // (sostenuto-latched notes keep their dampers fully lifted, so no half-pedal damping)
+            if (!isSostenutoLatched && synth && synth.synth && typeof synth.synth.updateNoteKeyState === 'function') {
                 synth.synth.updateNoteKeyState(noteName, false);
             }
             
@@ -656,6 +733,16 @@
         }
     };
     
+    /**
+     * Handle MIDI pitch bend event
+     * @param {number} value - 14-bit pitch bend value (0-16383, 8192 = center)
+     */
+    window.handleMidiPitchBend = function(value) {
+        if (synth && synth.setPitchBend) {
+            synth.setPitchBend(window.getPitchBendSemitones(value));
+        }
+    };
+    
     console.log('MIDI Mapping module loaded');
 })();
 
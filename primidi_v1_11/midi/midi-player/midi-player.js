@@ -0,0 +1,581 @@
+/**
+ * MIDI Player Module
+ * Plays Standard MIDI Files through the same note/controller handlers as live MIDI input,
+ * with a transport bar (play/pause/stop, seek, loop, tempo) and per-track mute/solo/layers
+ */
+
+(function() {
+    'use strict';
+
+    // Settings
+    window.midiPlayerSettings = window.midiPlayerSettings || {
+        loop: false,
+        tempoScale: 1.0 // 1 = original tempo
+    };
+
+    const SCHEDULER_INTERVAL_MS = 4;
+    const UI_UPDATE_INTERVAL_MS = 100;
+    const PORT_PREFIX = 'midi-file:'; // Routing port id for each track: "midi-file:<trackIndex>"
+    // Controllers restored when seeking (bank select, sustain, sostenuto, soft)
+    const CHASED_CONTROLLERS = [0, 32, 64, 66, 67];
+    const EVENT_ORDER = { noteOff: 0, controlChange: 1, programChange: 1, pitchBend: 1, noteOn: 2 };
+
+    // Handlers (set via initMidiPlayer)
+    let handlers = null;
+
+    // Player state
+    let song = null; // Parsed file from parseMidiFile
+    let fileName = '';
+    let events = []; // All track events merged and sorted by time: { time, trackIndex, ...event }
+    let nextEventIndex = 0;
+    let position = 0; // Song position in seconds (file tempo)
+    let playing = false;
+    let schedulerTimer = null;
+    let anchorWallTime = 0; // performance.now() when position was anchorPosition
+    let anchorPosition = 0;
+    let lastUiUpdate = 0;
+    let isDraggingSeek = false;
+    let trackStates = []; // [{ muted, solo, layers, channels }]
+    const soundingNotes = new Map(); // "trackIndex:note" -> { note, channel, trackIndex }
+
+    /**
+     * Initialize MIDI player module
+     * @param {Object} noteHandlers - { noteOn, noteOff, controlChange, pitchBend, programChange }
+     *   with the same signatures as the initMidiInput handlers (channel and portId last)
+     */
+    window.initMidiPlayer = function(noteHandlers) {
+        handlers = noteHandlers;
+        setupFileDrop();
+    };
+
+    function getPortId(trackIndex) {
+        return PORT_PREFIX + trackIndex;
+    }
+
+    /**
+     * Whether a port id belongs to MIDI file playback (rather than live input)
+     * @param {string} portId - Port id passed to the note/controller handlers
+     * @returns {boolean}
+     */
+    window.isMidiPlayerPort = function(portId) {
+        return typeof portId === 'string' && portId.indexOf(PORT_PREFIX) === 0;
+    };
+
+    function isTrackAudible(trackIndex) {
+        const state = trackStates[trackIndex];
+        if (!state || state.muted) return false;
+        const anySolo = trackStates.some((s) => s.solo);
+        return !anySolo || state.solo;
+    }
+
+    /**
+     * Send one file event to the live-input handlers
+     */
+    function dispatchEvent(ev) {
+        if (!handlers) return;
+        const portId = getPortId(ev.trackIndex);
+        const key = ev.trackIndex + ':' + ev.note;
+        switch (ev.type) {
+            case 'noteOn':
+                if (!isTrackAudible(ev.trackIndex)) return;
+                soundingNotes.set(key, { note: ev.note, channel: ev.channel, trackIndex: ev.trackIndex });
+                if (handlers.noteOn) handlers.noteOn(ev.note, ev.velocity, ev.channel, portId);
+                break;
+            case 'noteOff':
+                if (!soundingNotes.has(key)) return;
+                soundingNotes.delete(key);
+                if (handlers.noteOff) handlers.noteOff(ev.note, ev.channel, portId);
+                break;
+            case 'controlChange':
+                if (handlers.controlChange) handlers.controlChange(ev.controller, ev.value, ev.channel, portId);
+                break;
+            case 'pitchBend':
+                if (handlers.pitchBend) handlers.pitchBend(ev.value, ev.channel, portId);
+                break;
+            case 'programChange':
+                if (!isTrackAudible(ev.trackIndex)) return;
+                if (handlers.programChange) handlers.programChange(ev.program, ev.channel, portId);
+                break;
+        }
+    }
+
+    /**
+     * Release every note the player started and reset pedals/pitch bend on used channels
+     */
+    function allNotesOff() {
+        if (!handlers) return;
+        soundingNotes.forEach((info) => {
+            if (handlers.noteOff) handlers.noteOff(info.note, info.channel, getPortId(info.trackIndex));
+        });
+        soundingNotes.clear();
+        trackStates.forEach((state, trackIndex) => {
+            state.channels.forEach((channel) => {
+                const portId = getPortId(trackIndex);
+                if (handlers.controlChange) {
+                    handlers.controlChange(64, 0, channel, portId);
+                    handlers.controlChange(66, 0, channel, portId);
+                    handlers.controlChange(67, 0, channel, portId);
+                }
+                if (handlers.pitchBend) handlers.pitchBend(8192, channel, portId);
+            });
+        });
+    }
+
+    /**
+     * Re-send the controller, pitch bend and program state in effect at the current position
+     */
+    function chaseControllers() {
+        const latest = new Map(); // "track:channel:kind" -> event
+        for (let i = 0; i < nextEventIndex; i++) {
+            const ev = events[i];
+            let kind = null;
+            if (ev.type === 'controlChange' && CHASED_CONTROLLERS.indexOf(ev.controller) !== -1) {
+                kind = 'cc' + ev.controller;
+            } else if (ev.type === 'pitchBend') {
+                kind = 'bend';
+            } else if (ev.type === 'programChange') {
+                kind = 'program';
+            }
+            if (kind) latest.set(ev.trackIndex + ':' + ev.channel + ':' + kind, ev);
+        }
+        // Bank select must arrive before its program change
+        const chased = Array.from(latest.values()).sort((a, b) => a.time - b.time);
+        chased.forEach(dispatchEvent);
+    }
+
+    function getCurrentPosition() {
+        if (!playing) return position;
+        const elapsed = (performance.now() - anchorWallTime) / 1000;
+        return anchorPosition + elapsed * window.midiPlayerSettings.tempoScale;
+    }
+
+    function reanchor() {
+        position = getCurrentPosition();
+        anchorPosition = position;
+        anchorWallTime = performance.now();
+    }
+
+    function schedulerTick() {
+        schedulerTimer = null;
+        if (!playing || !song) return;
+
+        position = getCurrentPosition();
+        while (nextEventIndex < events.length && events[nextEventIndex].time <= position) {
+            dispatchEvent(events[nextEventIndex]);
+            nextEventIndex++;
+        }
+
+        if (position >= song.duration && nextEventIndex >= events.length) {
+            if (window.midiPlayerSettings.loop) {
+                window.seekMidiPlayer(0);
+            } else {
+                window.stopMidiPlayer();
+                return;
+            }
+        }
+
+        const now = performance.now();
+        if (now - lastUiUpdate >= UI_UPDATE_INTERVAL_MS) {
+            lastUiUpdate = now;
+            updateTransportUI();
+        }
+        schedulerTimer = setTimeout(schedulerTick, SCHEDULER_INTERVAL_MS);
+    }
+
+    /**
+     * Load a MIDI file
+     * @param {File|ArrayBuffer} source - Dropped/selected file or raw bytes
+     * @param {string} [name] - Display name (defaults to the File name)
+     * @param {Object} [options] - { trackPorts: input port id each track was recorded from (recorded takes) }
+     * @returns {Promise} Resolves when the file is parsed and ready to play
+     */
+    window.loadMidiFile = function(source, name, options) {
+        const trackPorts = (options && options.trackPorts) || [];
+        const read = (typeof File !== 'undefined' && source instanceof File) ? source.arrayBuffer() : Promise.resolve(source);
+        return read.then((buffer) => {
+            const parsed = window.parseMidiFile(buffer);
+            window.stopMidiPlayer();
+            song = parsed;
+            fileName = name || (source && source.name) || 'MIDI file';
+
+            events = [];
+            trackStates = parsed.tracks.map((track, trackIndex) => {
+                const channels = new Set();
+                track.events.forEach((ev) => {
+                    if (ev.type === 'tempo' || ev.type === 'timeSignature') return;
+                    channels.add(ev.channel);
+                    events.push(Object.assign({ trackIndex: trackIndex }, ev));
+                });
+                // Fresh routes for this file's tracks: every track plays all layers, and a recorded
+                // track the layers its input port is routed to
+                const sourcePort = trackPorts[trackIndex];
+                const routes = [];
+                for (let ch = 0; ch < 16; ch++) {
+                    routes[ch] = (sourcePort != null && window.getMidiRouteLayers) ? window.getMidiRouteLayers(sourcePort, ch) : null;
+                    if (window.setMidiRouteLayers) window.setMidiRouteLayers(getPortId(trackIndex), ch, routes[ch]);
+                }
+                const sortedChannels = Array.from(channels).sort((a, b) => a - b);
+                // Show the track's layers when all its channels share one route
+                const first = sortedChannels.length ? routes[sortedChannels[0]] : null;
+                const shared = sortedChannels.every((ch) => String(routes[ch]) === String(first));
+                return { muted: false, solo: false, layers: shared ? first : null, channels: sortedChannels };
+            });
+            events.sort((a, b) => (a.time - b.time) || (EVENT_ORDER[a.type] - EVENT_ORDER[b.type]));
+
+            position = 0;
+            nextEventIndex = 0;
+            showTransportBar();
+            buildTracksUI();
+            updateTransportUI();
+            console.log('MIDI file loaded:', fileName, '(format ' + parsed.format + ', ' + parsed.tracks.length + ' tracks, ' + parsed.duration.toFixed(1) + 's)');
+        }).catch((error) => {
+            console.error('Could not load MIDI file:', error);
+        });
+    };
+
+    /**
+     * Start or resume playback
+     */
+    window.playMidiPlayer = function() {
+        if (!song || playing) return;
+        if (position >= song.duration) window.seekMidiPlayer(0);
+        playing = true;
+        anchorPosition = position;
+        anchorWallTime = performance.now();
+        // First tick after the current click has finished (main.js starts the synth on first click)
+        schedulerTimer = setTimeout(schedulerTick, 0);
+        updateTransportUI();
+    };
+
+    /**
+     * Pause playback (keeps position)
+     */
+    window.pauseMidiPlayer = function() {
+        if (!playing) return;
+        position = getCurrentPosition();
+        playing = false;
+        if (schedulerTimer) {
+            clearTimeout(schedulerTimer);
+            schedulerTimer = null;
+        }
+        allNotesOff();
+        updateTransportUI();
+    };
+
+    /**
+     * Stop playback and return to the start
+     */
+    window.stopMidiPlayer = function() {
+        if (playing) {
+            window.pauseMidiPlayer();
+        } else {
+            allNotesOff();
+        }
+        position = 0;
+        nextEventIndex = 0;
+        updateTransportUI();
+    };
+
+    /**
+     * Move the playhead
+     * @param {number} seconds - Song position in seconds (file tempo)
+     */
+    window.seekMidiPlayer = function(seconds) {
+        if (!song) return;
+        allNotesOff();
+        position = Math.max(0, Math.min(song.duration, seconds));
+        nextEventIndex = 0;
+        while (nextEventIndex < events.length && events[nextEventIndex].time < position) nextEventIndex++;
+        chaseControllers();
+        anchorPosition = position;
+        anchorWallTime = performance.now();
+        updateTransportUI();
+    };
+
+    /**
+     * Set tempo scaling (1 = original tempo)
+     * @param {number} scale - Playback speed multiplier (0.25-4)
+     */
+    window.setMidiPlayerTempoScale = function(scale) {
+        reanchor();
+        window.midiPlayerSettings.tempoScale = Math.max(0.25, Math.min(4, Number(scale) || 1));
+    };
+
+    /**
+     * Mute or unmute a track (sounding notes of a newly silent track are released)
+     */
+    window.setMidiPlayerTrackMute = function(trackIndex, muted) {
+        if (!trackStates[trackIndex]) return;
+        trackStates[trackIndex].muted = !!muted;
+        releaseSilencedTracks();
+    };
+
+    /**
+     * Solo or unsolo a track
+     */
+    window.setMidiPlayerTrackSolo = function(trackIndex, solo) {
+        if (!trackStates[trackIndex]) return;
+        trackStates[trackIndex].solo = !!solo;
+        releaseSilencedTracks();
+    };
+
+    /**
+     * Choose which instrument layers a track plays (through the MIDI routing table)
+     * @param {number} trackIndex - Track index
+     * @param {Array|null} layers - Layer indices, or null for all layers
+     */
+    window.setMidiPlayerTrackLayers = function(trackIndex, layers) {
+        if (!trackStates[trackIndex]) return;
+        trackStates[trackIndex].layers = layers ? layers.slice() : null;
+        if (!window.setMidiRouteLayers) return;
+        for (let ch = 0; ch < 16; ch++) {
+            window.setMidiRouteLayers(getPortId(trackIndex), ch, layers);
+        }
+    };
+
+    function releaseSilencedTracks() {
+        if (!handlers) return;
+        soundingNotes.forEach((info, key) => {
+            if (isTrackAudible(info.trackIndex)) return;
+            soundingNotes.delete(key);
+            if (handlers.noteOff) handlers.noteOff(info.note, info.channel, getPortId(info.trackIndex));
+        });
+    }
+
+    /**
+     * Get player state (for UI and other modules)
+     */
+    window.getMidiPlayerState = function() {
+        return {
+            loaded: !!song,
+            fileName: fileName,
+            playing: playing,
+            position: getCurrentPosition(),
+            duration: song ? song.duration : 0,
+            tracks: song ? song.tracks.map((track, i) => Object.assign({ name: track.name }, trackStates[i])) : []
+        };
+    };
+
+    /**
+     * Events of the audible tracks at the current tempo scale, for offline rendering
+     * @returns {Array} Events ({ time, type, channel, ..., portId }) sorted by time
+     */
+    window.getMidiPlayerRenderEvents = function() {
+        const scale = window.midiPlayerSettings.tempoScale || 1;
+        return events
+            .filter((ev) => ev.type !== 'noteOn' || isTrackAudible(ev.trackIndex))
+            .map((ev) => Object.assign({}, ev, { time: ev.time / scale, portId: getPortId(ev.trackIndex) }));
+    };
+
+    // ========== Transport UI ==========
+
+    function formatTime(seconds) {
+        const s = Math.max(0, Math.floor(seconds));
+        return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    function createTransportBar() {
+        const bar = document.createElement('div');
+        bar.id = 'midi-player-bar';
+        bar.className = 'midi-player-bar';
+        bar.innerHTML = `
+            <span class="midi-player-file" id="midi-player-file"></span>
+            <button type="button" class="midi-player-btn" id="midi-player-play" aria-label="Play">▶</button>
+            <button type="button" class="midi-player-btn" id="midi-player-stop" aria-label="Stop">■</button>
+            <input type="range" class="midi-player-seek" id="midi-player-seek" min="0" max="1000" value="0" step="1" aria-label="Position">
+            <span class="midi-player-time" id="midi-player-time">0:00 / 0:00</span>
+            <label class="midi-player-loop"><input type="checkbox" id="midi-player-loop"> Loop</label>
+            <select id="midi-player-tempo" aria-label="Tempo">
+                <option value="0.5">50%</option>
+                <option value="0.75">75%</option>
+                <option value="0.9">90%</option>
+                <option value="1" selected>100%</option>
+                <option value="1.1">110%</option>
+                <option value="1.25">125%</option>
+                <option value="1.5">150%</option>
+                <option value="2">200%</option>
+            </select>
+            <button type="button" class="midi-player-btn" id="midi-player-tracks" aria-label="Tracks">Tracks</button>
+            <button type="button" class="midi-player-btn" id="midi-player-wav" aria-label="Render to WAV">WAV</button>
+            <button type="button" class="midi-player-btn midi-player-close" id="midi-player-close" aria-label="Close">×</button>
+        `;
+        document.body.appendChild(bar);
+
+        bar.querySelector('#midi-player-play').addEventListener('click', () => {
+            if (playing) {
+                window.pauseMidiPlayer();
+            } else {
+                window.playMidiPlayer();
+            }
+        });
+        bar.querySelector('#midi-player-stop').addEventListener('click', () => window.stopMidiPlayer());
+        const seek = bar.querySelector('#midi-player-seek');
+        seek.addEventListener('input', () => {
+            isDraggingSeek = true;
+            const time = document.getElementById('midi-player-time');
+            if (time && song) time.textContent = formatTime(seek.value / 1000 * song.duration) + ' / ' + formatTime(song.duration);
+        });
+        seek.addEventListener('change', () => {
+            isDraggingSeek = false;
+            if (song) window.seekMidiPlayer(seek.value / 1000 * song.duration);
+        });
+        const loop = bar.querySelector('#midi-player-loop');
+        loop.checked = !!window.midiPlayerSettings.loop;
+        loop.addEventListener('change', () => { window.midiPlayerSettings.loop = loop.checked; });
+        const tempo = bar.querySelector('#midi-player-tempo');
+        tempo.value = String(window.midiPlayerSettings.tempoScale);
+        tempo.addEventListener('change', () => window.setMidiPlayerTempoScale(parseFloat(tempo.value)));
+        bar.querySelector('#midi-player-tracks').addEventListener('click', () => {
+            const popup = getTracksPopup();
+            buildTracksUI();
+            popup.classList.add('active');
+        });
+        const wav = bar.querySelector('#midi-player-wav');
+        wav.addEventListener('click', () => {
+            if (window.renderToWavFromButton) window.renderToWavFromButton(wav, window.renderMidiPlayerFileToWav);
+        });
+        bar.querySelector('#midi-player-close').addEventListener('click', () => {
+            window.stopMidiPlayer();
+            bar.classList.remove('visible');
+        });
+        return bar;
+    }
+
+    function showTransportBar() {
+        const bar = document.getElementById('midi-player-bar') || createTransportBar();
+        bar.classList.add('visible');
+    }
+
+    function updateTransportUI() {
+        const bar = document.getElementById('midi-player-bar');
+        if (!bar || !song) return;
+        const current = getCurrentPosition();
+        const fileLabel = document.getElementById('midi-player-file');
+        const playBtn = document.getElementById('midi-player-play');
+        const seek = document.getElementById('midi-player-seek');
+        const time = document.getElementById('midi-player-time');
+        if (fileLabel) fileLabel.textContent = fileName;
+        if (playBtn) {
+            playBtn.textContent = playing ? '❚❚' : '▶';
+            playBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        }
+        if (seek && !isDraggingSeek) seek.value = song.duration > 0 ? Math.round(current / song.duration * 1000) : 0;
+        if (time && !isDraggingSeek) time.textContent = formatTime(current) + ' / ' + formatTime(song.duration);
+    }
+
+    function getTracksPopup() {
+        let popup = document.getElementById('midi-player-tracks-popup');
+        if (popup) return popup;
+        popup = document.createElement('div');
+        popup.id = 'midi-player-tracks-popup';
+        popup.className = 'key-movement-popup midi-routing-popup';
+        popup.innerHTML = `
+            <div class="key-movement-popup-content">
+                <div class="key-movement-popup-header">
+                    <h2>MIDI File Tracks</h2>
+                    <button class="key-movement-popup-close">×</button>
+                </div>
+                <div class="key-movement-popup-body">
+                    <div class="key-movement-description">Mute or solo tracks and choose which layers each track plays.</div>
+                    <div id="midi-player-tracks-list"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(popup);
+        popup.querySelector('.key-movement-popup-close').addEventListener('click', () => {
+            popup.classList.remove('active');
+        });
+        popup.addEventListener('click', (e) => {
+            if (e.target === popup) {
+                popup.classList.remove('active');
+            }
+        });
+        popup.querySelector('#midi-player-tracks-list').addEventListener('change', onTrackControlChange);
+        return popup;
+    }
+
+    function onTrackControlChange(e) {
+        const input = e.target;
+        const trackIndex = parseInt(input.dataset.track, 10);
+        if (isNaN(trackIndex)) return;
+        if (input.dataset.role === 'mute') {
+            window.setMidiPlayerTrackMute(trackIndex, input.checked);
+        } else if (input.dataset.role === 'solo') {
+            window.setMidiPlayerTrackSolo(trackIndex, input.checked);
+        } else if (input.dataset.role === 'layer') {
+            const boxes = document.querySelectorAll('#midi-player-tracks-list input[data-role="layer"][data-track="' + trackIndex + '"]');
+            const layers = [];
+            boxes.forEach((box) => { if (box.checked) layers.push(parseInt(box.dataset.layer, 10)); });
+            window.setMidiPlayerTrackLayers(trackIndex, layers.length === boxes.length ? null : layers);
+        }
+    }
+
+    function buildTracksUI() {
+        const list = document.getElementById('midi-player-tracks-list');
+        if (!list || !song) return;
+        const layerCount = Math.max(1, Math.min(6, (window.gslPresetSlots || []).length));
+        let html = '<table class="midi-routing-table"><thead><tr><th>Track</th><th>M</th><th>S</th>';
+        for (let l = 0; l < layerCount; l++) html += '<th>L' + (l + 1) + '</th>';
+        html += '</tr></thead><tbody>';
+        song.tracks.forEach((track, trackIndex) => {
+            const state = trackStates[trackIndex];
+            // Tempo-only conductor tracks have nothing to mute
+            if (!state.channels.length) return;
+            const label = (track.name || 'Track ' + (trackIndex + 1)) + ' (ch ' + state.channels.map((c) => c + 1).join(', ') + ')';
+            html += '<tr><td class="midi-player-track-name">' + escapeHtml(label) + '</td>';
+            html += '<td><input type="checkbox" data-role="mute" data-track="' + trackIndex + '"' + (state.muted ? ' checked' : '') + ' aria-label="Mute"></td>';
+            html += '<td><input type="checkbox" data-role="solo" data-track="' + trackIndex + '"' + (state.solo ? ' checked' : '') + ' aria-label="Solo"></td>';
+            for (let l = 0; l < layerCount; l++) {
+                const checked = !state.layers || state.layers.indexOf(l) !== -1;
+                html += '<td><input type="checkbox" data-role="layer" data-track="' + trackIndex + '" data-layer="' + l + '"' + (checked ? ' checked' : '') + ' aria-label="Layer ' + (l + 1) + '"></td>';
+            }
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        list.innerHTML = html;
+    }
+
+    /**
+     * Open a file picker for a MIDI file
+     */
+    window.openMidiFileDialog = function() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.mid,.midi,audio/midi,audio/x-midi';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) window.loadMidiFile(input.files[0]);
+        });
+        input.click();
+    };
+
+    function isMidiFile(file) {
+        return /\.(mid|midi|smf|kar)$/i.test(file.name) || file.type === 'audio/midi' || file.type === 'audio/x-midi';
+    }
+
+    /**
+     * Accept .mid files dropped anywhere on the page
+     */
+    function setupFileDrop() {
+        if (setupFileDrop.done) return;
+        setupFileDrop.done = true;
+        window.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') !== -1) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        window.addEventListener('drop', (e) => {
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files || []) : [];
+            const midiFile = files.find(isMidiFile);
+            if (!midiFile) return;
+            e.preventDefault();
+            window.loadMidiFile(midiFile);
+        });
+    }
+
+    console.log('MIDI Player module loaded');
+})();
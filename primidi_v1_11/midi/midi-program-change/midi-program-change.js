@@ -0,0 +1,165 @@
+/**
+ * MIDI Program Change Module
+ * Resolves Bank Select (CC0/CC32) + Program Change against the GSL manifest
+ * (folder ids are BBB_PPP_Name = bank_program) and switches the instrument layers
+ */
+
+(function() {
+    'use strict';
+
+    // Settings
+    window.midiProgramChangeSettings = window.midiProgramChangeSettings || {
+        enabled: true // Default: ON
+    };
+
+    const DRUM_CHANNEL = 9; // MIDI channel 10
+    const DRUM_BANKS = [128, 120]; // SoundFont / GM2 percussion banks
+
+    // Manifest entries whose id does not carry bank/program
+    const PROGRAM_ALIASES = {
+        '0:0': 'gsl_piano' // Acoustic Grand Piano
+    };
+
+    // Bank Select MSB per port/channel: key "portId:channel" -> bank
+    const bankState = {};
+
+    /**
+     * Bank/program of a manifest entry: explicit fields (loaded SoundFonts), else parsed from a BBB_PPP_Name id
+     * @param {Object} entry - GSL manifest entry
+     * @returns {Object|null} { bank, program }, or null if the entry has none
+     */
+    function getEntryProgram(entry) {
+        if (entry.bank != null && entry.program != null) return { bank: entry.bank, program: entry.program };
+        const match = /^(\d{3})_(\d{3})_/.exec(entry.id);
+        return match ? { bank: parseInt(match[1], 10), program: parseInt(match[2], 10) } : null;
+    }
+
+    /**
+     * Find the manifest slug for a bank/program pair
+     * @param {Array} manifest - GSL manifest entries ({ id, slug, bank?, program? })
+     * @param {number} bank - Bank number (Bank Select MSB)
+     * @param {number} program - Program number (0-127)
+     * @returns {string|null} Preset slug, or null if nothing matches
+     */
+    function findSlug(manifest, bank, program) {
+        for (let i = 0; i < manifest.length; i++) {
+            const entryProgram = getEntryProgram(manifest[i]);
+            if (entryProgram && entryProgram.bank === bank && entryProgram.program === program) {
+                return manifest[i].slug;
+            }
+        }
+        const alias = PROGRAM_ALIASES[bank + ':' + program];
+        if (alias && manifest.some((entry) => entry.slug === alias)) return alias;
+        return null;
+    }
+
+    /**
+     * Resolve a bank/program pair. The drum channel picks from the percussion banks;
+     * other channels fall back to bank 0 (GS-style capital tone fallback)
+     * @param {Array} manifest - GSL manifest entries
+     * @param {number} bank - Bank number (Bank Select MSB)
+     * @param {number} program - Program number (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string|null} Preset slug
+     */
+    window.resolveGslProgram = function(manifest, bank, program, channel) {
+        if (!manifest || !manifest.length) return null;
+        if (channel === DRUM_CHANNEL) {
+            const banks = bank !== 0 ? [bank].concat(DRUM_BANKS) : DRUM_BANKS;
+            for (let i = 0; i < banks.length; i++) {
+                const drumSlug = findSlug(manifest, banks[i], program);
+                if (drumSlug) return drumSlug;
+            }
+            return null;
+        }
+        let slug = findSlug(manifest, bank, program);
+        if (!slug && bank !== 0) slug = findSlug(manifest, 0, program);
+        return slug;
+    };
+
+    /**
+     * Put a preset on specific layers and load its samples. Only layers that exist are replaced;
+     * routes to empty layers are skipped so the other layers keep their place
+     * @param {string} slug - GSL preset slug
+     * @param {Array} layers - Layer indices from midi-routing
+     * @returns {boolean} True if at least one layer was replaced
+     */
+    function applyPresetToLayers(slug, layers) {
+        const slots = window.gslPresetSlots = window.gslPresetSlots || [];
+        const targets = layers.filter((layerIndex) => layerIndex >= 0 && layerIndex < slots.length);
+        if (targets.length < layers.length) {
+            console.log('Program change: layers ' + layers.filter((i) => targets.indexOf(i) === -1).map((i) => i + 1).join(', ') + ' are empty, left unchanged');
+        }
+        if (!targets.length) return false;
+        targets.forEach((layerIndex) => {
+            slots[layerIndex] = slug;
+        });
+
+        const handler = window.InstrumentSampleHandler;
+        const ctx = window.synth && window.synth.synth && window.synth.synth.audioCtx;
+        if (handler && ctx) {
+            const baseUrl = (document.baseURI || window.location.href || '').replace(/\/[^/]*$/, '/');
+            handler.ensurePresetLoaded(ctx, slug, baseUrl).catch((e) => { console.warn('Preset preload:', e); });
+        }
+        if (window.updateInstrumentGridSelection) window.updateInstrumentGridSelection();
+        if (window.updateSoundLayerVolumesUI) window.updateSoundLayerVolumesUI();
+        return true;
+    }
+
+    /**
+     * Handle Bank Select control changes
+     * @param {number} controller - Controller number
+     * @param {number} value - Controller value (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string} portId - MIDI input port id
+     * @returns {boolean} True if the controller was Bank Select MSB/LSB
+     */
+    window.handleMidiBankSelect = function(controller, value, channel, portId) {
+        if (controller === 0) {
+            bankState[portId + ':' + channel] = value;
+            return true;
+        }
+        // LSB is accepted but not used: GSL folder banks are MSB values
+        return controller === 32;
+    };
+
+    /**
+     * Handle MIDI Program Change. A channel routed to specific layers switches those layers;
+     * an unrouted channel switches layer 1 (the other layers keep their instruments), or
+     * applies the preset through applySoundPreset when there are no layers yet
+     * @param {number} program - Program number (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string} portId - MIDI input port id
+     */
+    window.handleMidiProgramChange = function(program, channel, portId) {
+        if (!window.midiProgramChangeSettings.enabled) return;
+
+        const handler = window.InstrumentSampleHandler;
+        if (!handler || typeof handler.ensureGslManifest !== 'function') return;
+
+        // GSL banks follow the SoundFont convention: Bank Select MSB is the bank number
+        const bank = bankState[portId + ':' + channel] || 0;
+
+        handler.ensureGslManifest().then((manifest) => {
+            const slug = window.resolveGslProgram(manifest, bank, program, channel);
+            if (!slug) {
+                console.log('Program change: no GSL preset for bank ' + bank + ' program ' + program);
+                return;
+            }
+            const routed = window.getMidiRouteLayers ? window.getMidiRouteLayers(portId, channel) : null;
+            let applied = false;
+            if (routed) {
+                // A channel routed to no layers is muted: nothing to switch
+                applied = routed.length > 0 && applyPresetToLayers(slug, routed);
+            } else if (window.gslPresetSlots && window.gslPresetSlots.length > 0) {
+                applied = applyPresetToLayers(slug, [0]);
+            } else if (window.applySoundPreset) {
+                window.applySoundPreset(slug);
+                applied = true;
+            }
+            if (applied) console.log('Program change: bank ' + bank + ' program ' + program + ' -> ' + slug);
+        }).catch(() => {});
+    };
+
+    console.log('MIDI Program Change module loaded');
+})();
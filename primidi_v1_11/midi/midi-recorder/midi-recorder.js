@@ -0,0 +1,357 @@
+/**
+ * MIDI Recorder Module
+ * Records live notes, velocities, pedals and controllers (MIDI input and computer keyboard)
+ * into takes that can be exported as Standard MIDI Files or WAV renders, or replayed through the MIDI player
+ */
+
+(function() {
+    'use strict';
+
+    // Recorder state
+    let recording = false;
+    let recordStartTime = 0; // performance.now() at record start
+    let currentEvents = [];
+    let currentPortNames = {}; // portId -> input name, captured while recording (the device may go away)
+    const heldNotes = new Map(); // "portId|channel:note" -> { portId, channel, note }, to close notes still down at stop
+    const takes = []; // [{ id, name, date, duration, bpm, events, portNames }]
+    let nextTakeId = 1;
+    let indicatorTimer = null;
+
+    /**
+     * Readable name for a source port: the MIDI input's name, "Keyboard" for the computer keyboard
+     * (no port), "Player track N" for MIDI file playback
+     */
+    function getPortName(portId) {
+        if (portId == null) return 'Keyboard';
+        if (window.isMidiPlayerPort && window.isMidiPlayerPort(portId)) {
+            return 'Player track ' + (parseInt(portId.slice(portId.indexOf(':') + 1), 10) + 1);
+        }
+        const inputs = window.getMidiInputs ? window.getMidiInputs() : [];
+        const input = inputs.find((port) => port.id === portId);
+        return (input && input.name) || portId;
+    }
+
+    function getBpm() {
+        return (window.gslBpm != null) ? Math.max(40, Math.min(240, Number(window.gslBpm))) : 120;
+    }
+
+    /**
+     * Record one event (called from the main.js input wrappers)
+     * @param {Object} event - { type, channel, note, velocity, controller, value, program } as in parseMidiFile
+     * @param {string} [portId] - Source port, kept on the event so replay and render use its routing;
+     *   MIDI player playback is not recorded
+     */
+    window.recordMidiEvent = function(event, portId) {
+        if (!recording) return;
+        if (window.isMidiPlayerPort && window.isMidiPlayerPort(portId)) return;
+        const ev = Object.assign({}, event, {
+            time: (performance.now() - recordStartTime) / 1000,
+            channel: event.channel || 0,
+            portId: portId != null ? portId : null
+        });
+        if (!(ev.portId in currentPortNames)) currentPortNames[ev.portId] = getPortName(ev.portId);
+        const key = ev.portId + '|' + ev.channel + ':' + ev.note;
+        if (ev.type === 'noteOn') {
+            heldNotes.set(key, { portId: ev.portId, channel: ev.channel, note: ev.note });
+        } else if (ev.type === 'noteOff') {
+            // Notes already down when recording started have no note on in this take
+            if (!heldNotes.has(key)) return;
+            heldNotes.delete(key);
+        }
+        currentEvents.push(ev);
+    };
+
+    /**
+     * Start recording a new take
+     */
+    window.startMidiRecording = function() {
+        if (recording) return;
+        recording = true;
+        recordStartTime = performance.now();
+        currentEvents = [];
+        currentPortNames = {};
+        heldNotes.clear();
+        updateRecorderUI();
+        console.log('MIDI recording started');
+    };
+
+    /**
+     * Stop recording and keep the take (empty takes are discarded)
+     * @returns {Object|null} The new take
+     */
+    window.stopMidiRecording = function() {
+        if (!recording) return null;
+        recording = false;
+        const stopTime = (performance.now() - recordStartTime) / 1000;
+
+        // Close notes that are still held
+        heldNotes.forEach((held) => {
+            currentEvents.push({ time: stopTime, type: 'noteOff', channel: held.channel, note: held.note, portId: held.portId });
+        });
+        heldNotes.clear();
+
+        let take = null;
+        if (currentEvents.some((ev) => ev.type === 'noteOn')) {
+            // Start the take at the first event rather than at the record button
+            const offset = currentEvents[0].time;
+            const events = currentEvents.map((ev) => Object.assign({}, ev, { time: ev.time - offset }));
+            const id = nextTakeId++;
+            take = {
+                id: id,
+                name: 'Take ' + id,
+                date: new Date(),
+                duration: stopTime - offset,
+                bpm: getBpm(),
+                events: events,
+                portNames: currentPortNames
+            };
+            takes.push(take);
+            console.log('MIDI recording stopped:', take.name, take.events.length + ' events');
+        } else {
+            console.log('MIDI recording stopped: nothing was played');
+        }
+        currentEvents = [];
+        currentPortNames = {};
+        updateRecorderUI();
+        return take;
+    };
+
+    /**
+     * Whether a take is being recorded
+     * @returns {boolean}
+     */
+    window.isMidiRecording = function() {
+        return recording;
+    };
+
+    /**
+     * Get recorded takes
+     * @returns {Array} Takes ({ id, name, date, duration, bpm, events, portNames })
+     */
+    window.getMidiTakes = function() {
+        return takes.slice();
+    };
+
+    function getTake(id) {
+        return takes.find((take) => take.id === id) || null;
+    }
+
+    /**
+     * Split a take into one track per input port, in order of first use
+     * @returns {Array} [{ portId, events }]
+     */
+    function getTakeTracks(take) {
+        const tracks = [];
+        take.events.forEach((ev) => {
+            let track = tracks.find((t) => t.portId === ev.portId);
+            if (!track) {
+                track = { portId: ev.portId, events: [] };
+                tracks.push(track);
+            }
+            track.events.push(ev);
+        });
+        return tracks;
+    }
+
+    /**
+     * Delete a take
+     * @param {number} id - Take id
+     */
+    window.deleteMidiTake = function(id) {
+        const index = takes.findIndex((take) => take.id === id);
+        if (index > -1) takes.splice(index, 1);
+        updateRecorderUI();
+    };
+
+    /**
+     * Build the Standard MIDI File bytes for a take (one track per input port, named after the input)
+     * @param {number} id - Take id
+     * @returns {Uint8Array|null}
+     */
+    window.buildMidiTakeFile = function(id) {
+        const take = getTake(id);
+        if (!take || !window.writeMidiFile) return null;
+        const tracks = getTakeTracks(take).map((track) => ({
+            name: take.portNames[track.portId] || getPortName(track.portId),
+            events: track.events
+        }));
+        return window.writeMidiFile({ tracks: tracks, bpm: take.bpm, name: take.name });
+    };
+
+    /**
+     * Download a take as a .mid file
+     * @param {number} id - Take id
+     */
+    window.exportMidiTake = function(id) {
+        const take = getTake(id);
+        const bytes = window.buildMidiTakeFile(id);
+        if (!take || !bytes) return;
+        const blob = new Blob([bytes], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'primidi-' + take.name.toLowerCase().replace(/\s+/g, '-') + '.mid';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    /**
+     * Replay a take through the MIDI player (same engine and key animation as live input);
+     * each port's track plays the layers that port is routed to
+     * @param {number} id - Take id
+     */
+    window.playMidiTake = function(id) {
+        const take = getTake(id);
+        const bytes = window.buildMidiTakeFile(id);
+        if (!take || !bytes || !window.loadMidiFile) return;
+        const trackPorts = getTakeTracks(take).map((track) => track.portId);
+        window.loadMidiFile(bytes.buffer, take.name, { trackPorts: trackPorts }).then(() => {
+            if (window.playMidiPlayer) window.playMidiPlayer();
+        });
+    };
+
+    // ========== Recorder UI ==========
+
+    function formatTime(seconds) {
+        const s = Math.max(0, Math.floor(seconds));
+        return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Floating "REC" indicator while recording (click to stop)
+     */
+    function getIndicator() {
+        let indicator = document.getElementById('midi-recorder-indicator');
+        if (indicator) return indicator;
+        indicator = document.createElement('button');
+        indicator.type = 'button';
+        indicator.id = 'midi-recorder-indicator';
+        indicator.className = 'midi-recorder-indicator';
+        indicator.setAttribute('aria-label', 'Stop recording');
+        indicator.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.stopMidiRecording();
+        });
+        document.body.appendChild(indicator);
+        return indicator;
+    }
+
+    function updateIndicator() {
+        const indicator = getIndicator();
+        if (recording) {
+            indicator.textContent = '● REC ' + formatTime((performance.now() - recordStartTime) / 1000) + ' — Stop';
+            indicator.classList.add('visible');
+            if (!indicatorTimer) indicatorTimer = setInterval(updateIndicator, 500);
+        } else {
+            indicator.classList.remove('visible');
+            if (indicatorTimer) {
+                clearInterval(indicatorTimer);
+                indicatorTimer = null;
+            }
+        }
+    }
+
+    function updateRecorderUI() {
+        updateIndicator();
+        const recordBtn = document.getElementById('midi-record-btn');
+        if (recordBtn) {
+            recordBtn.textContent = recording ? '■ Stop' : '● Rec';
+            recordBtn.classList.toggle('recording', recording);
+        }
+        buildTakesList();
+    }
+
+    function buildTakesList() {
+        const list = document.getElementById('midi-takes-list');
+        if (!list) return;
+        if (takes.length === 0) {
+            list.innerHTML = '<div class="key-movement-description">No takes yet. Press ● Rec and play.</div>';
+            return;
+        }
+        let html = '<table class="midi-routing-table midi-takes-table"><tbody>';
+        takes.forEach((take) => {
+            html += '<tr>' +
+                '<td class="midi-player-track-name">' + escapeHtml(take.name) + '</td>' +
+                '<td>' + formatTime(take.duration) + '</td>' +
+                '<td>' + take.date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + '</td>' +
+                '<td><button type="button" class="midi-player-btn" data-action="play" data-take="' + take.id + '" aria-label="Play">▶</button></td>' +
+                '<td><button type="button" class="midi-player-btn" data-action="export" data-take="' + take.id + '">.mid</button></td>' +
+                '<td><button type="button" class="midi-player-btn" data-action="wav" data-take="' + take.id + '">WAV</button></td>' +
+                '<td><button type="button" class="midi-player-btn" data-action="delete" data-take="' + take.id + '" aria-label="Delete">×</button></td>' +
+                '</tr>';
+        });
+        html += '</tbody></table>';
+        list.innerHTML = html;
+    }
+
+    function getTakesPopup() {
+        let popup = document.getElementById('midi-takes-popup');
+        if (popup) return popup;
+        popup = document.createElement('div');
+        popup.id = 'midi-takes-popup';
+        popup.className = 'key-movement-popup midi-routing-popup';
+        popup.innerHTML = `
+            <div class="key-movement-popup-content">
+                <div class="key-movement-popup-header">
+                    <h2>Recorded Takes</h2>
+                    <button class="key-movement-popup-close">×</button>
+                </div>
+                <div class="key-movement-popup-body">
+                    <div id="midi-takes-list"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(popup);
+        popup.querySelector('.key-movement-popup-close').addEventListener('click', () => {
+            popup.classList.remove('active');
+        });
+        popup.addEventListener('click', (e) => {
+            if (e.target === popup) {
+                popup.classList.remove('active');
+                return;
+            }
+            const button = e.target.closest && e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = parseInt(button.dataset.take, 10);
+            if (button.dataset.action === 'play') {
+                popup.classList.remove('active');
+                window.playMidiTake(id);
+            } else if (button.dataset.action === 'export') {
+                window.exportMidiTake(id);
+            } else if (button.dataset.action === 'wav') {
+                if (window.renderToWavFromButton) window.renderToWavFromButton(button, () => window.renderMidiTakeToWav(id));
+            } else if (button.dataset.action === 'delete') {
+                window.deleteMidiTake(id);
+            }
+        });
+        return popup;
+    }
+
+    /**
+     * Toggle recording (record button)
+     */
+    window.toggleMidiRecording = function() {
+        if (recording) {
+            window.stopMidiRecording();
+        } else {
+            window.startMidiRecording();
+        }
+    };
+
+    /**
+     * Open the list of recorded takes
+     */
+    window.openMidiTakes = function() {
+        const popup = getTakesPopup();
+        buildTakesList();
+        popup.classList.add('active');
+    };
+
+    console.log('MIDI Recorder module loaded');
+})();
@@ -0,0 +1,223 @@
+/**
+ * MIDI Render Module
+ * Renders recorded takes and imported MIDI files to WAV offline, through the same GSL layers,
+ * slot volumes, semitone offsets, reverb and stereo width as live playback (gsl-synth renderOffline).
+ * Program changes in the events are not applied: the render uses the layers currently loaded.
+ */
+
+(function() {
+    'use strict';
+
+    // Settings
+    window.midiRenderSettings = window.midiRenderSettings || {
+        bitDepth: 24 // 16 or 24
+    };
+
+    const EVENT_ORDER = { noteOff: 0, controlChange: 1, programChange: 1, pitchBend: 1, noteOn: 2 };
+
+    let rendering = false;
+
+    /**
+     * Turn timed events into rendered notes, applying sustain/sostenuto/soft pedals the way
+     * main.js does live (pedals act on note numbers across channels). Key-up notes held by the sustain pedal
+     * get a damping step ({ time, depth }) at key up and at every later pedal depth change, for renderOffline
+     * to damp them continuously like the live half-pedal
+     * @param {Array} events - [{ time, type, channel, note, velocity, controller, value, portId }]
+     * @returns {Object} { notes: [{ midi, start, end, amplitude, velocity, layers, soft, pedalDepth, damping }], pitchBends, duration }
+     */
+    function buildRenderNotes(events) {
+        const sorted = events.slice().sort((a, b) =>
+            (a.time - b.time) || ((EVENT_ORDER[a.type] || 0) - (EVENT_ORDER[b.type] || 0)));
+        const notes = [];
+        const pitchBends = [];
+        const open = new Map(); // midiNote -> [note] (oldest first, like releaseOneVoice)
+        const heldKeys = new Set(); // midiNote values whose key is down
+        const sostenutoNotes = new Set();
+        let sustainDown = false;
+        let sustainDepth = 0; // stretches natural decay and scales damping like the live pedal
+        let sostenutoDown = false;
+        let softDown = false;
+        let lastTime = 0;
+
+        function endNote(note, time) {
+            note.end = time;
+            const list = open.get(note.midi);
+            list.splice(list.indexOf(note), 1);
+            if (list.length === 0) open.delete(note.midi);
+        }
+
+        function addDamping(note, time) {
+            if (!note.damping) note.damping = [];
+            note.damping.push({ time: time, depth: sustainDepth });
+        }
+
+        function releaseUnheld(time) {
+            open.forEach((list) => {
+                list.slice().forEach((note) => {
+                    if (note.keyDown || sustainDown || sostenutoNotes.has(note.midi)) return;
+                    endNote(note, time);
+                });
+            });
+        }
+
+        sorted.forEach((ev) => {
+            lastTime = Math.max(lastTime, ev.time);
+            if (ev.type === 'noteOn') {
+                const layers = window.getMidiRouteLayers ? window.getMidiRouteLayers(ev.portId, ev.channel) : null;
+                if (layers && layers.length === 0) return;
+                const amplitude = window.getMidiNoteAmplitude ? window.getMidiNoteAmplitude(ev.velocity, ev.note) : ev.velocity / 127;
+                const note = { midi: ev.note, start: ev.time, end: null, amplitude: amplitude, velocity: ev.velocity, layers: layers, soft: softDown, pedalDepth: sustainDepth, keyDown: true };
+                notes.push(note);
+                if (!open.has(ev.note)) open.set(ev.note, []);
+                open.get(ev.note).push(note);
+                heldKeys.add(ev.note);
+            } else if (ev.type === 'noteOff') {
+                const list = open.get(ev.note);
+                const note = list && list.find((n) => n.keyDown);
+                heldKeys.delete(ev.note);
+                if (!note) return;
+                note.keyDown = false;
+                if (sostenutoNotes.has(ev.note)) return;
+                if (sustainDown) addDamping(note, ev.time);
+                else endNote(note, ev.time);
+            } else if (ev.type === 'controlChange') {
+                if (ev.controller === 64) {
+                    const depth = window.getSustainPedalDepth ? window.getSustainPedalDepth(ev.value) : (ev.value >= 64 ? 1 : 0);
+                    sustainDepth = depth;
+                    sustainDown = depth > 0; // any damper lift holds released notes, as live
+                    if (!sustainDown) {
+                        releaseUnheld(ev.time);
+                        return;
+                    }
+                    open.forEach((list) => list.forEach((note) => {
+                        if (!note.keyDown && !sostenutoNotes.has(note.midi)) addDamping(note, ev.time);
+                    }));
+                } else if (ev.controller === 66) {
+                    const down = ev.value >= 64;
+                    if (down === sostenutoDown) return;
+                    sostenutoDown = down;
+                    if (down) {
+                        heldKeys.forEach((midiNote) => sostenutoNotes.add(midiNote));
+                    } else {
+                        const latched = new Set(sostenutoNotes);
+                        sostenutoNotes.clear();
+                        releaseUnheld(ev.time);
+                        // Released keys still held by the sustain pedal are damped from here
+                        open.forEach((list) => list.forEach((note) => {
+                            if (!note.keyDown && latched.has(note.midi)) addDamping(note, ev.time);
+                        }));
+                    }
+                } else if (ev.controller === 67) {
+                    softDown = ev.value >= 64;
+                }
+            } else if (ev.type === 'pitchBend') {
+                const semitones = window.getPitchBendSemitones ? window.getPitchBendSemitones(ev.value) : 0;
+                pitchBends.push({ time: ev.time, semitones: semitones });
+            }
+        });
+
+        // Notes still sounding at the end are released after the last event
+        open.forEach((list) => list.slice().forEach((note) => endNote(note, lastTime)));
+
+        const duration = notes.reduce((max, note) => Math.max(max, note.end), 0);
+        notes.forEach((note) => { delete note.keyDown; });
+        return { notes: notes, pitchBends: pitchBends, duration: duration };
+    }
+
+    /**
+     * Load the samples of every current layer on the live context (the offline render reuses them)
+     */
+    function loadCurrentLayers() {
+        const handler = window.InstrumentSampleHandler;
+        const ctx = window.synth && window.synth.synth && window.synth.synth.audioCtx;
+        const slots = window.gslPresetSlots || [];
+        if (!handler || !ctx) return Promise.reject(new Error('Synth is not ready'));
+        const baseUrl = (document.baseURI || window.location.href || '').replace(/\/[^/]*$/, '/');
+        return Promise.all(slots.map((preset) => handler.ensurePresetLoaded(ctx, preset, baseUrl)));
+    }
+
+    function toFileName(name) {
+        return 'primidi-' + String(name || 'render').toLowerCase().replace(/\.midi?$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') + '.wav';
+    }
+
+    /**
+     * Render timed MIDI events to a WAV file and download it
+     * @param {Array} events - Events as in parseMidiFile/recorded takes (time in seconds);
+     *   an optional portId selects the MIDI routing layers
+     * @param {Object} [options] - { name, bitDepth (16 or 24) }
+     * @returns {Promise<Blob>} The WAV file
+     */
+    window.renderMidiEventsToWav = function(events, options) {
+        options = options || {};
+        if (rendering) return Promise.reject(new Error('A render is already running'));
+        if (!window.synth || !window.synth.renderOffline || !window.WavEncoder) {
+            return Promise.reject(new Error('Offline rendering is not available'));
+        }
+        const bitDepth = (options.bitDepth || window.midiRenderSettings.bitDepth) === 16 ? 16 : 24;
+        const schedule = buildRenderNotes(events || []);
+        if (schedule.notes.length === 0) return Promise.reject(new Error('Nothing to render'));
+
+        rendering = true;
+        console.log('Rendering ' + schedule.notes.length + ' notes to WAV...');
+        return loadCurrentLayers().then(() => window.synth.renderOffline(schedule.notes, {
+            duration: schedule.duration,
+            pitchBends: schedule.pitchBends
+        })).then((audioBuffer) => {
+            const blob = window.WavEncoder.encode(audioBuffer, audioBuffer.sampleRate, bitDepth);
+            window.WavEncoder.download(blob, toFileName(options.name));
+            console.log('Render finished: ' + audioBuffer.duration.toFixed(1) + ' s, ' + bitDepth + '-bit');
+            return blob;
+        }).finally(() => {
+            rendering = false;
+        });
+    };
+
+    /**
+     * Whether an offline render is running
+     * @returns {boolean}
+     */
+    window.isMidiRendering = function() {
+        return rendering;
+    };
+
+    /**
+     * Render a recorded take to WAV
+     * @param {number} id - Take id
+     * @returns {Promise<Blob>}
+     */
+    window.renderMidiTakeToWav = function(id) {
+        const take = window.getMidiTakes ? window.getMidiTakes().find((t) => t.id === id) : null;
+        if (!take) return Promise.reject(new Error('Take not found'));
+        return window.renderMidiEventsToWav(take.events, { name: take.name });
+    };
+
+    /**
+     * Render the file loaded in the MIDI player to WAV (audible tracks, current tempo)
+     * @returns {Promise<Blob>}
+     */
+    window.renderMidiPlayerFileToWav = function() {
+        const state = window.getMidiPlayerState ? window.getMidiPlayerState() : null;
+        if (!state || !state.loaded || !window.getMidiPlayerRenderEvents) return Promise.reject(new Error('No MIDI file loaded'));
+        return window.renderMidiEventsToWav(window.getMidiPlayerRenderEvents(), { name: state.fileName });
+    };
+
+    /**
+     * Run a render from a button, showing progress on it
+     * @param {HTMLElement} button - Button to disable while rendering
+     * @param {Function} render - Returns the render Promise
+     */
+    window.renderToWavFromButton = function(button, render) {
+        if (rendering) return;
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = '…';
+        render().catch((e) => {
+            console.error('WAV render failed:', e);
+        }).finally(() => {
+            button.disabled = false;
+            button.textContent = label;
+        });
+    };
+
+    console.log('MIDI Render module loaded');
+})();
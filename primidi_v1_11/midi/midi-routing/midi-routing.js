@@ -0,0 +1,200 @@
+/**
+ * MIDI Routing Module
+ * Routes each MIDI input port and channel to a set of instrument layers (gslPresetSlots)
+ */
+
+(function() {
+    'use strict';
+
+    const NUM_CHANNELS = 16;
+    const MAX_LAYERS = 6;
+
+    // Settings
+    // routes[portId][channel] = [layer indices]; a missing entry means "all layers"
+    window.midiRoutingSettings = window.midiRoutingSettings || {
+        routes: {}
+    };
+
+    /**
+     * Get the layers a port/channel should play
+     * @param {string} portId - MIDI input port id
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {Array|null} Array of layer indices, or null for all layers
+     */
+    window.getMidiRouteLayers = function(portId, channel) {
+        if (portId == null || channel == null) return null;
+        const portRoutes = window.midiRoutingSettings.routes[portId];
+        if (!portRoutes || !portRoutes[channel]) return null;
+        return portRoutes[channel].slice();
+    };
+
+    /**
+     * Set the layers a port/channel should play
+     * @param {string} portId - MIDI input port id
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {Array|null} layers - Array of layer indices, or null to play all layers
+     */
+    window.setMidiRouteLayers = function(portId, channel, layers) {
+        const routes = window.midiRoutingSettings.routes;
+        if (!layers) {
+            if (routes[portId]) {
+                delete routes[portId][channel];
+                if (Object.keys(routes[portId]).length === 0) delete routes[portId];
+            }
+            return;
+        }
+        if (!routes[portId]) routes[portId] = {};
+        routes[portId][channel] = layers.slice().sort((a, b) => a - b);
+    };
+
+    /**
+     * Keep routes pointing at the same instruments after a layer is removed
+     * (later layers shift down by one, like the other gslSlot* arrays)
+     * @param {number} layerIndex - Index of the removed layer
+     */
+    window.removeMidiRouteLayer = function(layerIndex) {
+        const routes = window.midiRoutingSettings.routes;
+        Object.keys(routes).forEach((portId) => {
+            Object.keys(routes[portId]).forEach((channel) => {
+                routes[portId][channel] = routes[portId][channel]
+                    .filter((i) => i !== layerIndex)
+                    .map((i) => (i > layerIndex ? i - 1 : i));
+            });
+        });
+        window.updateMidiRoutingUI();
+    };
+
+    /**
+     * Reset all routes (every port and channel plays all layers)
+     */
+    window.resetMidiRouting = function() {
+        window.midiRoutingSettings.routes = {};
+        window.updateMidiRoutingUI();
+    };
+
+    /**
+     * Create MIDI routing popup
+     */
+    function createMidiRoutingPopup() {
+        const popup = document.createElement('div');
+        popup.id = 'midi-routing-popup';
+        popup.className = 'key-movement-popup midi-routing-popup';
+        popup.innerHTML = `
+            <div class="key-movement-popup-content">
+                <div class="key-movement-popup-header">
+                    <h2>MIDI Routing</h2>
+                    <button class="key-movement-popup-close">×</button>
+                </div>
+                <div class="key-movement-popup-body">
+                    <div class="key-movement-description">Choose which layers each MIDI channel plays. Unchecked layers stay silent for that channel.</div>
+                    <div id="midi-routing-ports"></div>
+                    <div class="key-movement-popup-footer">
+                        <button class="key-movement-reset">Reset to Defaults</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        popup.querySelector('.key-movement-popup-close').addEventListener('click', () => {
+            popup.classList.remove('active');
+        });
+        popup.addEventListener('click', (e) => {
+            if (e.target === popup) {
+                popup.classList.remove('active');
+            }
+        });
+        popup.querySelector('.key-movement-reset').addEventListener('click', () => {
+            window.resetMidiRouting();
+        });
+        popup.querySelector('#midi-routing-ports').addEventListener('change', (e) => {
+            const checkbox = e.target;
+            if (!checkbox.dataset || checkbox.dataset.layer == null) return;
+            onRouteCheckboxChange(checkbox.dataset.port, parseInt(checkbox.dataset.channel, 10));
+        });
+        return popup;
+    }
+
+    /**
+     * Read the checkboxes of one port/channel row back into the routing table
+     * @param {string} portId - MIDI input port id
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    function onRouteCheckboxChange(portId, channel) {
+        const container = document.getElementById('midi-routing-ports');
+        if (!container) return;
+        const boxes = Array.prototype.filter.call(
+            container.querySelectorAll('input[type="checkbox"]'),
+            (box) => box.dataset.port === portId && parseInt(box.dataset.channel, 10) === channel
+        );
+        const layers = [];
+        boxes.forEach((box) => {
+            if (box.checked) layers.push(parseInt(box.dataset.layer, 10));
+        });
+        // All layers checked is the default route
+        window.setMidiRouteLayers(portId, channel, layers.length === boxes.length ? null : layers);
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    function getLayerLabel(layerIndex) {
+        const slug = (window.gslPresetSlots || [])[layerIndex];
+        if (!slug) return '(none)';
+        return (window.gslSlugToDisplayName && window.gslSlugToDisplayName[slug]) || slug;
+    }
+
+    /**
+     * Rebuild the routing table for the currently connected ports
+     */
+    window.updateMidiRoutingUI = function() {
+        const container = document.getElementById('midi-routing-ports');
+        if (!container) return;
+
+        const ports = window.getMidiInputs ? window.getMidiInputs() : [];
+        if (ports.length === 0) {
+            container.innerHTML = '<div class="key-movement-description">No MIDI input devices connected.</div>';
+            return;
+        }
+
+        const layerCount = Math.max(1, Math.min(MAX_LAYERS, (window.gslPresetSlots || []).length));
+        let html = '';
+        ports.forEach((port) => {
+            const portId = escapeHtml(port.id);
+            html += '<div class="midi-routing-port">';
+            html += '<div class="midi-routing-port-name">' + escapeHtml(port.name || port.id) + '</div>';
+            html += '<table class="midi-routing-table"><thead><tr><th>Ch</th>';
+            for (let l = 0; l < layerCount; l++) {
+                html += '<th title="' + escapeHtml(getLayerLabel(l)) + '">L' + (l + 1) + '</th>';
+            }
+            html += '</tr></thead><tbody>';
+            for (let ch = 0; ch < NUM_CHANNELS; ch++) {
+                const layers = window.getMidiRouteLayers(port.id, ch);
+                html += '<tr><td>' + (ch + 1) + '</td>';
+                for (let l = 0; l < layerCount; l++) {
+                    const checked = !layers || layers.indexOf(l) !== -1;
+                    html += '<td><input type="checkbox" data-port="' + portId + '" data-channel="' + ch + '" data-layer="' + l + '"' +
+                        (checked ? ' checked' : '') + ' aria-label="Channel ' + (ch + 1) + ' layer ' + (l + 1) + '"></td>';
+                }
+                html += '</tr>';
+            }
+            html += '</tbody></table></div>';
+        });
+        container.innerHTML = html;
+    };
+
+    /**
+     * Open MIDI routing settings
+     */
+    window.openMidiRoutingSettings = function() {
+        let popup = document.getElementById('midi-routing-popup');
+        if (!popup) {
+            popup = createMidiRoutingPopup();
+            document.body.appendChild(popup);
+        }
+        window.updateMidiRoutingUI();
+        popup.classList.add('active');
+    };
+
+    console.log('MIDI Routing module loaded');
+})();